@@ -0,0 +1,432 @@
+/* ===== crime-providers.js — Pluggable Crime-Data Sources ===== */
+
+/*
+ * Every provider exposes the same interface:
+ *
+ *   label      – human name used in logs ("UK Police")
+ *   priority   – higher wins when several providers cover a place
+ *                (city open data > national street-level > agency stats)
+ *   covers(place) → boolean
+ *                place = { lat, lng, countryCode, state, city } from the
+ *                reverse geocoder; countryCode is '' when geocoding failed
+ *   fetchIncidents({ position, bounds, place, since, until })
+ *     → Promise<Incident[]>   (network / HTTP errors throw)
+ *   coverage({ position, bounds })   (optional)
+ *     → { south, west, north, east } the area one fetchIncidents call
+ *                covers, remembered as fetched so it isn't asked again too
+ *                soon; defaults to `bounds`.  Providers that query around
+ *                `position` return just that point.
+ *
+ * and maps its records into one incident schema, which MapModule renders
+ * and feeds to the danger registry:
+ *
+ *   Incident = { id, lat, lng,
+ *                category,     – class key, see crime-taxonomy.js
+ *                label,        – short description ("Robbery", agency name…)
+ *                severity,     – 1–5, the class's calibrated severity
+ *                timestamp,    – ms since epoch, or null
+ *                timeExact,    – true if timestamp has a real time of day
+ *                source,       – provider name
+ *                details?,     – longer text for the info sheet
+ *                timeLabel?,   – shown instead of a relative time
+ *                loadDetails? } – async () => ({ details, timeLabel }) for
+ *                                 data only fetched when the marker is tapped
+ *
+ * A new data source is added by registering a provider — nothing in map.js
+ * changes.  Socrata-hosted cities need only a SODA_CITIES entry.
+ */
+
+const CrimeProviders = (() => {
+  const providers = {};
+
+  function register(name, provider) {
+    providers[name] = { priority: 0, ...provider, name };
+  }
+
+  /** Providers covering `place`, best first */
+  function providersFor(place) {
+    return Object.values(providers)
+      .filter(p => { try { return p.covers(place); } catch { return false; } })
+      .sort((a, b) => b.priority - a.priority);
+  }
+
+  /* ===== SHARED HELPERS ===== */
+
+  /** Fetch JSON with a timeout; non-2xx responses throw `HTTP <status>` */
+  async function fetchJSON(url, timeoutMs) {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs || 20000);
+    try {
+      const resp = await fetch(url, { signal: ctrl.signal });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      return await resp.json();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /* Haversine distance in metres */
+  function distanceM(lat1, lng1, lat2, lng2) {
+    const rad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * rad;
+    const dLng = (lng2 - lng1) * rad;
+    const a = Math.sin(dLat / 2) ** 2 +
+              Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLng / 2) ** 2;
+    return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  /* coverage() of providers that query around the user rather than the view */
+  function aroundPosition({ position }) {
+    return { south: position.lat, west: position.lng, north: position.lat, east: position.lng };
+  }
+
+  function capitalize(s) {
+    return s.charAt(0).toUpperCase() + s.slice(1);
+  }
+
+  /* ===== UK POLICE API (street-level incidents, England/Wales/NI) ===== */
+  /* Free, no key; returns the latest month within a 1-mile radius */
+
+  register('uk-police', {
+    label: 'UK Police',
+    priority: 10,
+    /* Also tried when the country is unknown — the API simply returns [] elsewhere */
+    covers: place => !place.countryCode || place.countryCode === 'gb',
+    coverage: aroundPosition,
+
+    async fetchIncidents({ position }) {
+      const crimes = await fetchJSON(`https://data.police.uk/api/crimes-street/all-crime?lat=${position.lat}&lng=${position.lng}`);
+      if (!Array.isArray(crimes)) return [];
+
+      return crimes.map(crime => {
+        const lat = parseFloat(crime.location?.latitude);
+        const lng = parseFloat(crime.location?.longitude);
+        const month = crime.month || '';
+        const street = crime.location?.street?.name || 'Unknown street';
+        const category = CrimeTaxonomy.classify('uk-police', crime.category);
+        return {
+          id: crime.id || crime.persistent_id,
+          lat, lng,
+          category,
+          label: capitalize(crime.category.replace(/-/g, ' ')),
+          severity: CrimeTaxonomy.severityOf(category),
+          timestamp: month ? Date.parse(`${month}-15T12:00:00`) || null : null,
+          timeExact: false,
+          source: 'uk-police',
+          details: `Reported on or near ${street}.${crime.outcome_status ? ' Outcome: ' + crime.outcome_status.category + '.' : ''}`,
+          timeLabel: month || 'Recent'
+        };
+      }).filter(inc => !isNaN(inc.lat) && !isNaN(inc.lng));
+    }
+  });
+
+  /* ===== SOCRATA (SODA) CITY OPEN DATA (street-level incidents) ===== */
+  /*
+   * Many US cities publish incident reports on Socrata.  Each entry below
+   * declares where a city's dataset lives and how to read it; one generic
+   * adapter turns every entry into a provider.  Adding a city = adding an
+   * entry (or calling registerSodaCity() at runtime).
+   *
+   *   key         – provider name and incident `source`
+   *   label       – human name for logs
+   *   cityNames   – lower-case names matched against the geocoded city
+   *   bbox        – [south, west, north, east]; also covers positions in it
+   *   domain      – Socrata host, e.g. 'data.cityofchicago.org'
+   *   dataset     – 4x4 resource id
+   *   fields      – { id, lat, lng, time, category, description, address }
+   *                 column names; lat/lng/time are required
+   *   rules       – [[RegExp, class], …] tried (in order) before the shared
+   *                 CrimeTaxonomy text rules, on the category then the
+   *                 description
+   *   where       – optional extra SoQL condition
+   *   timeExact   – false if `time` is only a date (defaults to true)
+   *   timeZone    – IANA zone of the city; floating timestamp columns hold
+   *                 its local time (defaults to the browser's zone)
+   *
+   * All public endpoints below need no app token at our request volume.
+   */
+
+  const SODA_CITIES = [
+    {
+      key: 'detroit',
+      label: 'Detroit',
+      cityNames: ['detroit'],
+      bbox: [42.25, -83.29, 42.46, -82.91],
+      domain: 'data.detroitmi.gov',
+      dataset: 'wgv9-drfc',       /* RMS Crime Incidents */
+      timeZone: 'America/Detroit',
+      fields: {
+        id: 'crime_id', lat: 'latitude', lng: 'longitude', time: 'incident_timestamp',
+        category: 'offense_category', description: 'offense_description', address: 'incident_address'
+      },
+      rules: [[/\bcsc\b/, 'sexual-assault']]  /* criminal sexual conduct */
+    },
+    {
+      key: 'chicago',
+      label: 'Chicago',
+      cityNames: ['chicago'],
+      bbox: [41.64, -87.94, 42.03, -87.52],
+      domain: 'data.cityofchicago.org',
+      dataset: 'ijzp-q8t2',       /* Crimes - 2001 to Present (≈7-day lag) */
+      timeZone: 'America/Chicago',
+      fields: {
+        id: 'id', lat: 'latitude', lng: 'longitude', time: 'date',
+        category: 'primary_type', description: 'description', address: 'block'
+      },
+      rules: []
+    },
+    {
+      key: 'seattle',
+      label: 'Seattle',
+      cityNames: ['seattle'],
+      bbox: [47.49, -122.44, 47.74, -122.23],
+      domain: 'data.seattle.gov',
+      dataset: 'tazs-3rd5',       /* SPD Crime Data: 2008-Present */
+      timeZone: 'America/Los_Angeles',
+      fields: {
+        id: 'report_number', lat: 'latitude', lng: 'longitude', time: 'offense_start_datetime',
+        category: 'offense_parent_group', description: 'offense', address: '_100_block_address'
+      },
+      rules: []
+    },
+    {
+      key: 'san-francisco',
+      label: 'San Francisco',
+      cityNames: ['san francisco'],
+      bbox: [37.70, -122.52, 37.84, -122.35],
+      domain: 'data.sfgov.org',
+      dataset: 'wg3w-h783',       /* Police Department Incident Reports: 2018 to Present */
+      timeZone: 'America/Los_Angeles',
+      fields: {
+        id: 'incident_id', lat: 'latitude', lng: 'longitude', time: 'incident_datetime',
+        category: 'incident_category', description: 'incident_description', address: 'intersection'
+      },
+      rules: [[/malicious mischief/, 'vandalism']]
+    }
+  ];
+
+  /* The city's own category column decides first; the free-text description
+     only when the category matches no rule ("CRIMINAL DAMAGE / TO VEHICLE"
+     is vandalism, not vehicle crime) */
+  function sodaCategory(city, cat, desc) {
+    return CrimeTaxonomy.classifyText(cat, city.rules) ||
+           CrimeTaxonomy.classifyText(desc, city.rules) ||
+           'other';
+  }
+
+  /* The wall-clock time of `ms` in `timeZone`, written as if it were UTC */
+  function wallClockMs(ms, timeZone) {
+    const p = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(ms)).forEach(({ type, value }) => { p[type] = value; });
+    return Date.UTC(+p.year, p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  }
+
+  /* City timestamp columns are floating (no zone), so bounds are written in the city's local time */
+  function soqlTime(date, timeZone) {
+    return new Date(wallClockMs(date.getTime(), timeZone)).toISOString().slice(0, 19);
+  }
+
+  /* A returned timestamp in ms; floating ones are read as the city's local time */
+  function sodaTimestamp(ts, timeZone) {
+    if (/(Z|[+-]\d\d:?\d\d)$/.test(ts)) return Date.parse(ts) || null;
+    const m = /^(\d{4})-(\d\d)-(\d\d)(?:T(\d\d):(\d\d)(?::(\d\d))?)?/.exec(ts);
+    if (!m) return null;
+    const wall = Date.UTC(+m[1], m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+    /* Two passes settle the zone offset, also across a DST change */
+    let t = wall - (wallClockMs(wall, timeZone) - wall);
+    t = wall - (wallClockMs(t, timeZone) - t);
+    return t;
+  }
+
+  function sodaProvider(city) {
+    const f = city.fields;
+    return {
+      label: city.label,
+      priority: 20,
+      covers: place => {
+        if (place.countryCode && place.countryCode !== 'us') return false;
+        if (city.cityNames.some(n => place.city.includes(n))) return true;
+        const [s, w, n, e] = city.bbox;
+        return place.lat >= s && place.lat <= n && place.lng >= w && place.lng <= e;
+      },
+
+      async fetchIncidents({ bounds, since, until }) {
+        /* Incidents within the requested bounds and time range, newest first, up to 200 */
+        let where = `${f.lat} IS NOT NULL ` +
+          `AND ${f.lat} > ${bounds.south} AND ${f.lat} < ${bounds.north} ` +
+          `AND ${f.lng} > ${bounds.west} AND ${f.lng} < ${bounds.east} ` +
+          `AND ${f.time} > '${soqlTime(since, city.timeZone)}' AND ${f.time} < '${soqlTime(until, city.timeZone)}'`;
+        if (city.where) where += ` AND (${city.where})`;
+        const params = new URLSearchParams({ $where: where, $order: `${f.time} DESC`, $limit: '200' });
+
+        const rows = await fetchJSON(`https://${city.domain}/resource/${city.dataset}.json?${params}`);
+        if (!Array.isArray(rows)) return [];
+
+        return rows.map((row, i) => {
+          const cat = (f.category && row[f.category]) || '';
+          const desc = (f.description && row[f.description]) || cat || 'Unknown offense';
+          const address = (f.address && row[f.address]) || 'Unknown location';
+          const ts = row[f.time] || '';
+          const timestamp = ts ? sodaTimestamp(ts, city.timeZone) : null;
+          const category = sodaCategory(city, cat, desc);
+          return {
+            id: (f.id && row[f.id]) || `${city.key}_${i}`,
+            lat: parseFloat(row[f.lat]),
+            lng: parseFloat(row[f.lng]),
+            category,
+            label: desc,
+            severity: CrimeTaxonomy.severityOf(category),
+            timestamp,
+            timeExact: city.timeExact !== false,
+            source: city.key,
+            details: `${desc}\n📍 ${address}${timestamp ? '\n🕐 ' + new Date(timestamp).toLocaleString(undefined, { timeZone: city.timeZone }) : ''}`
+          };
+        }).filter(inc => !isNaN(inc.lat) && !isNaN(inc.lng));
+      }
+    };
+  }
+
+  /** Add (or replace) a Socrata city from a config entry — see SODA_CITIES */
+  function registerSodaCity(city) {
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    register(city.key, sodaProvider({ rules: [], timeZone, ...city }));
+  }
+
+  SODA_CITIES.forEach(registerSodaCity);
+
+  /* ===== FBI CRIME DATA EXPLORER (US agency-level stats) ===== */
+  const FBI_KEY = 'ody84hVzAvaJ7qrxasROnT7X8cDUFc7XURNSYF7Z';
+  const FBI_BASE = 'https://api.usa.gov/crime/fbi/sapi';
+  const FBI_MAX_DIST = 15000; /* metres — agencies within ~15 km / ~9 mi */
+
+  /* Map US state name → 2-letter abbreviation */
+  const US_STATES = {
+    'alabama':'AL','alaska':'AK','arizona':'AZ','arkansas':'AR','california':'CA',
+    'colorado':'CO','connecticut':'CT','delaware':'DE','florida':'FL','georgia':'GA',
+    'hawaii':'HI','idaho':'ID','illinois':'IL','indiana':'IN','iowa':'IA','kansas':'KS',
+    'kentucky':'KY','louisiana':'LA','maine':'ME','maryland':'MD','massachusetts':'MA',
+    'michigan':'MI','minnesota':'MN','mississippi':'MS','missouri':'MO','montana':'MT',
+    'nebraska':'NE','nevada':'NV','new hampshire':'NH','new jersey':'NJ','new mexico':'NM',
+    'new york':'NY','north carolina':'NC','north dakota':'ND','ohio':'OH','oklahoma':'OK',
+    'oregon':'OR','pennsylvania':'PA','rhode island':'RI','south carolina':'SC',
+    'south dakota':'SD','tennessee':'TN','texas':'TX','utah':'UT','vermont':'VT',
+    'virginia':'VA','washington':'WA','west virginia':'WV','wisconsin':'WI','wyoming':'WY',
+    'district of columbia':'DC'
+  };
+
+  /* Format FBI agency offense rows into a readable string */
+  function buildFBICrimeSummary(rows, year) {
+    /* rows are typically objects with offense + actual/cleared counts */
+    const offenses = {};
+    rows.forEach(r => {
+      const name = r.offense || r.offense_name || r.key || 'Unknown';
+      const actual = r.actual || r.reported || r.value || 0;
+      if (actual > 0) {
+        offenses[name] = (offenses[name] || 0) + actual;
+      }
+    });
+
+    const entries = Object.entries(offenses)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 8);
+
+    if (entries.length === 0) return `No reported offenses for ${year}.`;
+
+    const total = entries.reduce((s, [, v]) => s + v, 0);
+    const lines = entries.map(([k, v]) => {
+      const label = k.replace(/-|_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+      return `${label}: ${v.toLocaleString()}`;
+    });
+
+    return `${total.toLocaleString()} total reported offenses (${year}):\n${lines.join(' · ')}`;
+  }
+
+  /* Format state estimate data */
+  function buildStateEstimateSummary(est, abbr, year) {
+    const parts = [];
+    if (est.violent_crime)      parts.push(`Violent crime: ${est.violent_crime.toLocaleString()}`);
+    if (est.homicide)           parts.push(`Homicide: ${est.homicide.toLocaleString()}`);
+    if (est.robbery)            parts.push(`Robbery: ${est.robbery.toLocaleString()}`);
+    if (est.aggravated_assault) parts.push(`Aggravated assault: ${est.aggravated_assault.toLocaleString()}`);
+    if (est.property_crime)     parts.push(`Property crime: ${est.property_crime.toLocaleString()}`);
+    if (est.burglary)           parts.push(`Burglary: ${est.burglary.toLocaleString()}`);
+    if (est.larceny)            parts.push(`Larceny: ${est.larceny.toLocaleString()}`);
+    if (est.motor_vehicle_theft) parts.push(`Vehicle theft: ${est.motor_vehicle_theft.toLocaleString()}`);
+
+    if (parts.length === 0) return `State-level crime estimates not available for ${abbr} (${year}).`;
+
+    const pop = est.population ? ` (pop. ${est.population.toLocaleString()})` : '';
+    return `${abbr} statewide estimates${pop} — ${year}:\n${parts.join(' · ')}`;
+  }
+
+  /* Agency offense stats, falling back to state-level estimates */
+  async function loadAgencyDetails(ori, stateAbbr, dataYear) {
+    if (!ori) return { details: '', timeLabel: stateAbbr };
+    try {
+      const statsData = await fetchJSON(`${FBI_BASE}/api/summarized/agency/${ori}/offenses/${dataYear}/${dataYear}?API_KEY=${FBI_KEY}`);
+      const rows = Array.isArray(statsData) ? statsData : (statsData?.results || statsData?.data || []);
+      if (rows.length === 0) {
+        return {
+          details: `No detailed crime breakdown available for ${dataYear}. The agency may not have reported to the FBI UCR program this year.`,
+          timeLabel: stateAbbr
+        };
+      }
+      return { details: buildFBICrimeSummary(rows, dataYear), timeLabel: `${dataYear} data · ${stateAbbr}` };
+    } catch {
+      try {
+        const estData = await fetchJSON(`${FBI_BASE}/api/estimates/states/${stateAbbr}/${dataYear}/${dataYear}?API_KEY=${FBI_KEY}`);
+        const est = Array.isArray(estData) ? estData[0] : (estData?.results?.[0] || estData);
+        if (est) {
+          return { details: buildStateEstimateSummary(est, stateAbbr, dataYear), timeLabel: `${dataYear} state data · ${stateAbbr}` };
+        }
+      } catch { /* fall through */ }
+      return { details: 'Crime statistics temporarily unavailable for this agency.', timeLabel: stateAbbr };
+    }
+  }
+
+  register('fbi', {
+    label: 'FBI',
+    priority: 0,
+    covers: place => place.countryCode === 'us' && !!US_STATES[place.state.toLowerCase()],
+    coverage: aroundPosition,
+
+    async fetchIncidents({ position, place }) {
+      const stateAbbr = US_STATES[place.state.toLowerCase()];
+      console.info(`[Crime] FBI: Loading agencies for ${stateAbbr}…`);
+
+      const agData = await fetchJSON(`${FBI_BASE}/api/agencies/byStateAbbr/${stateAbbr}?API_KEY=${FBI_KEY}`);
+      /* The response may have different shapes depending on API version */
+      const agencies = Array.isArray(agData) ? agData : (agData?.results || agData?.data || []);
+
+      /* FBI data is usually 1-2 years delayed */
+      const dataYear = new Date().getFullYear() - 2;
+
+      return agencies
+        .map(a => ({ a, lat: parseFloat(a.latitude), lng: parseFloat(a.longitude) }))
+        .filter(({ lat, lng }) => !isNaN(lat) && !isNaN(lng) &&
+          distanceM(position.lat, position.lng, lat, lng) <= FBI_MAX_DIST)
+        .slice(0, 30) /* cap for performance */
+        .map(({ a, lat, lng }) => {
+          const ori = a.ori || a.ORI || '';
+          return {
+            id: ori || `${lat}_${lng}`,
+            lat, lng,
+            category: 'agency',
+            label: a.agency_name || a.agency_type_name || 'Law Enforcement Agency',
+            severity: CrimeTaxonomy.severityOf('agency'),
+            timestamp: null,
+            timeExact: false,
+            source: 'fbi',
+            timeLabel: stateAbbr,
+            /* Stats are fetched only when the marker is tapped */
+            loadDetails: () => loadAgencyDetails(ori, stateAbbr, dataYear)
+          };
+        });
+    }
+  });
+
+  return { register, registerSodaCity, providersFor };
+})();
@@ -0,0 +1,529 @@
+/* ===== graph-router.js — Safety-Weighted Pedestrian Routing ===== */
+
+/*
+ * Routes over the walkable OSM ways themselves instead of asking a router
+ * for a path and bending it with via-points.  Every edge costs its length
+ * times (1 + penalty × danger), where danger is what the registry puts on
+ * the edge's midpoint (RouteScoring.zoneDanger) and the penalty comes from
+ * the "safety vs. speed" slider: 0 is the plain shortest path, 100 walks a
+ * long way round to stay clear of incidents.  A* finds the cheapest path,
+ * so the trade-off is made per street rather than per detour.  The trip's
+ * preference profiles (route-preferences.js) multiply edge costs as well.
+ *
+ * For online planning the ways of the trip's corridor are fetched from
+ * Overpass on demand (the last few corridors are kept in memory); the
+ * offline router (offline-router.js) runs the same search over graphs
+ * saved with an offline map pack.  Results use the OSRM route shape.
+ *
+ * Safety routing is opt-in: while it is on, short trips are routed here
+ * instead of by the configured routing backend (routing-providers.js),
+ * which then only plans trips too long for a corridor.
+ */
+
+const GraphRouter = (() => {
+  const CONFIG_KEY = 'leadinglight_safety_routing';
+  const DEFAULT_WEIGHT = 25;
+
+  const WALKABLE = 'footway|path|pedestrian|steps|living_street|residential|service|unclassified|'
+                 + 'tertiary|tertiary_link|secondary|secondary_link|primary|primary_link|track|cycleway|road';
+  const WALK_SPEED_MS = 1.4;        /* ≈ 5 km/h, close to OSRM's foot profile */
+  const SNAP_MAX_M = 500;           /* furthest a point may be from the graph */
+  const NODE_CELL_DEG = 0.002;
+  const MAX_PENALTY = 8;            /* cost multiplier per unit of danger at weight 100 */
+  const MAX_DANGER = 4.5;           /* danger above this costs no more */
+  const DANGER_CACHE_MS = 60000;
+  const M_PER_DEG = 111320;
+  const WAY_TAGS = ['highway', 'service', 'footway', 'tunnel', 'covered', 'bridge',
+                    'surface', 'smoothness', 'incline', 'wheelchair'];
+
+  const CORRIDOR_PAD_DEG = 0.005;   /* minimum margin around the trip */
+  const CORRIDOR_GRID_DEG = 0.01;   /* corridors snap outwards to this grid so re-plans reuse them */
+  const MAX_CORRIDOR_DEG = 0.06;    /* ≈ 6 km a side; longer trips use via-point detours */
+  const MAX_CACHED_GRAPHS = 3;
+
+  const _corridors = new Map();     /* bbox key → graph, oldest first */
+
+  /* ===== CONFIG ===== */
+
+  /** { enabled, weight } — off unless turned on; weight 0 (fastest) … 100 (safest) */
+  function getConfig() {
+    let stored = {};
+    try { stored = JSON.parse(localStorage.getItem(CONFIG_KEY)) || {}; } catch { stored = {}; }
+    const weight = Number.isFinite(stored.weight) ? Math.min(100, Math.max(0, stored.weight)) : DEFAULT_WEIGHT;
+    return { enabled: stored.enabled === true, weight };
+  }
+
+  function setConfig(cfg) {
+    if (cfg === null) {
+      localStorage.removeItem(CONFIG_KEY);
+      return getConfig();
+    }
+    localStorage.setItem(CONFIG_KEY, JSON.stringify({ ...getConfig(), ...cfg }));
+    return getConfig();
+  }
+
+  /* ===== WAYS ===== */
+
+  /**
+   * Walkable ways in `bounds` as
+   *   { lat[], lng[], ways: [{ name, tags, nodes }], kerbs: [[node, kerb]] },
+   * nodes being indices into lat/lng, tags the WAY_TAGS preference profiles
+   * look at and kerbs the OSM kerb value of nodes that are kerbs.
+   * Network errors propagate.
+   */
+  async function fetchWays(bounds, signal) {
+    const bbox = [bounds.south, bounds.west, bounds.north, bounds.east].map(v => v.toFixed(5)).join(',');
+    const query = `[out:json][timeout:90];
+      way["highway"~"^(${WALKABLE})$"]["foot"!~"^(no|private)$"]["access"!~"^(no|private)$"](${bbox})->.walk;
+      .walk out body qt;
+      node(w.walk)->.pts;
+      .pts out skel qt;
+      (node.pts["kerb"];node.pts["barrier"="kerb"];);
+      out body qt;`;
+    const data = await Overpass.query(query, { signal });
+
+    /* OSM node id → compact index; only nodes on walkable ways are kept */
+    const coords = {};
+    data.elements.forEach(el => { if (el.type === 'node') coords[el.id] = el; });
+    const indexOf = new Map();
+    const lat = [], lng = [];
+    const ways = [];
+    data.elements.forEach(el => {
+      if (el.type !== 'way' || !el.nodes) return;
+      const nodes = [];
+      el.nodes.forEach(nid => {
+        const n = coords[nid];
+        if (!n) return;
+        if (!indexOf.has(nid)) {
+          indexOf.set(nid, lat.length);
+          lat.push(n.lat);
+          lng.push(n.lon);
+        }
+        nodes.push(indexOf.get(nid));
+      });
+      if (nodes.length < 2) return;
+      const tags = {};
+      WAY_TAGS.forEach(k => { if (el.tags?.[k]) tags[k] = el.tags[k]; });
+      ways.push({ name: el.tags?.name || el.tags?.ref || '', tags, nodes });
+    });
+    const kerbs = [];
+    data.elements.forEach(el => {
+      if (el.type !== 'node' || !el.tags || !indexOf.has(el.id)) return;
+      if (el.tags.kerb || el.tags.barrier === 'kerb') kerbs.push([indexOf.get(el.id), el.tags.kerb || 'yes']);
+    });
+    return { lat, lng, ways, kerbs };
+  }
+
+  /* ===== GRAPH ===== */
+
+  function dist(lat1, lng1, lat2, lng2) {
+    const dlat = lat1 - lat2;
+    const dlng = (lng1 - lng2) * Math.cos(lat1 * Math.PI / 180);
+    return Math.sqrt(dlat * dlat + dlng * dlng) * M_PER_DEG;
+  }
+
+  function inBounds(b, p) {
+    return p.lat >= b.south && p.lat <= b.north && p.lng >= b.west && p.lng <= b.east;
+  }
+
+  /**
+   * { id, bounds, lat, lng, ways, kerbs } → undirected edge list, CSR
+   * adjacency, a node grid for snapping and node → kerb lookup.
+   */
+  function buildGraph(stored) {
+    const { lat, lng, ways } = stored;
+    const n = lat.length;
+    const from = [], to = [], len = [], way = [];
+    ways.forEach((w, wi) => {
+      for (let i = 0; i < w.nodes.length - 1; i++) {
+        const a = w.nodes[i], b = w.nodes[i + 1];
+        if (a === b) continue;
+        from.push(a); to.push(b); way.push(wi);
+        len.push(dist(lat[a], lng[a], lat[b], lng[b]));
+      }
+    });
+
+    const adjStart = new Int32Array(n + 1);
+    from.forEach((a, e) => { adjStart[a + 1]++; adjStart[to[e] + 1]++; });
+    for (let i = 0; i < n; i++) adjStart[i + 1] += adjStart[i];
+    const fill = adjStart.slice(0, n);
+    const adjEdge = new Int32Array(from.length * 2);
+    from.forEach((a, e) => {
+      adjEdge[fill[a]++] = e;
+      adjEdge[fill[to[e]]++] = e;
+    });
+
+    const grid = new Map();
+    for (let i = 0; i < n; i++) {
+      const k = `${Math.floor(lat[i] / NODE_CELL_DEG)}_${Math.floor(lng[i] / NODE_CELL_DEG)}`;
+      if (!grid.has(k)) grid.set(k, []);
+      grid.get(k).push(i);
+    }
+
+    const kerb = new Map(stored.kerbs || []);
+
+    return { id: stored.id, bounds: stored.bounds, lat, lng, ways, from, to, len, way, adjStart, adjEdge, grid, kerb, danger: null };
+  }
+
+  /* Closest graph node within SNAP_MAX_M, or -1 */
+  function nearestNode(g, lat, lng) {
+    const cy = Math.floor(lat / NODE_CELL_DEG);
+    const cx = Math.floor(lng / NODE_CELL_DEG);
+    const reach = Math.ceil(SNAP_MAX_M / M_PER_DEG / NODE_CELL_DEG / Math.max(0.2, Math.cos(lat * Math.PI / 180)));
+    let best = -1, bestD = SNAP_MAX_M;
+    for (let dy = -reach; dy <= reach; dy++) {
+      for (let dx = -reach; dx <= reach; dx++) {
+        const cell = g.grid.get(`${cy + dy}_${cx + dx}`);
+        if (!cell) continue;
+        for (const i of cell) {
+          const d = dist(lat, lng, g.lat[i], g.lng[i]);
+          if (d < bestD) { bestD = d; best = i; }
+        }
+      }
+    }
+    return best;
+  }
+
+  /* ===== DANGER COST ===== */
+
+  /* Danger at every edge midpoint, cached on the graph (null = no zones) */
+  function edgeDanger(g) {
+    if (typeof MapModule === 'undefined') return null;
+    const b = g.bounds;
+    const zones = MapModule.getDangerZones(L.latLngBounds([b.south, b.west], [b.north, b.east]));
+    if (zones.length === 0) return null;
+
+    const c = g.danger;
+    if (c && c.zoneCount === zones.length && Date.now() - c.time < DANGER_CACHE_MS) return c.values;
+
+    const samples = g.from.map((a, e) => ({
+      lat: (g.lat[a] + g.lat[g.to[e]]) / 2,
+      lng: (g.lng[a] + g.lng[g.to[e]]) / 2,
+      when: null
+    }));
+    const values = new Float64Array(samples.length);
+    RouteScoring.zoneDanger(samples, zones).forEach(({ danger }, e) => {
+      values[e] = Math.min(MAX_DANGER, danger);
+    });
+    g.danger = { zoneCount: zones.length, time: Date.now(), values };
+    return values;
+  }
+
+  /** Per-edge cost multipliers for a slider weight (null = plain length) */
+  function dangerFactors(g, weight) {
+    const penalty = MAX_PENALTY * weight / 100;
+    if (penalty <= 0) return null;
+    const danger = edgeDanger(g);
+    if (!danger) return null;
+    return danger.map(d => 1 + penalty * d);
+  }
+
+  /*
+   * Per-edge multipliers from a RoutePreferences matcher (null = no effect),
+   * and a flag per edge the matcher calls a barrier (null = none).
+   * Graphs saved before ways carried tags just see empty tags.
+   */
+  function preferenceFactors(g, prefs) {
+    if (!prefs || prefs.ids.length === 0) return { factors: null, barriers: null };
+    const factors = new Float64Array(g.from.length);
+    let barriers = null;
+    let any = false;
+    g.from.forEach((a, e) => {
+      const b = g.to[e];
+      const tags = g.ways[g.way[e]].tags || {};
+      const kerbs = [g.kerb.get(a), g.kerb.get(b)].filter(Boolean);
+      factors[e] = prefs.edgeFactor(tags, [g.lat[a], g.lng[a]], [g.lat[b], g.lng[b]], kerbs);
+      if (factors[e] !== 1) any = true;
+      if (prefs.barriers(tags, kerbs).length > 0) {
+        barriers = barriers || new Uint8Array(g.from.length);
+        barriers[e] = 1;
+      }
+    });
+    return { factors: any ? factors : null, barriers };
+  }
+
+  function combineFactors(a, b) {
+    if (!a || !b) return a || b;
+    return a.map((f, e) => f * b[e]);
+  }
+
+  /* `factors` with the flagged edges made impassable (A* never relaxes an infinite cost) */
+  function closeEdges(g, factors, closed) {
+    const out = factors ? Float64Array.from(factors) : new Float64Array(g.from.length).fill(1);
+    closed.forEach((c, e) => { if (c) out[e] = Infinity; });
+    return out;
+  }
+
+  /* ===== SEARCH ===== */
+
+  /* Binary min-heap of [priority, node] */
+  function heapPush(h, p, v) {
+    h.push([p, v]);
+    let i = h.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (h[parent][0] <= h[i][0]) break;
+      [h[parent], h[i]] = [h[i], h[parent]];
+      i = parent;
+    }
+  }
+
+  function heapPop(h) {
+    const top = h[0];
+    const last = h.pop();
+    if (h.length > 0) {
+      h[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1, r = l + 1;
+        let m = i;
+        if (l < h.length && h[l][0] < h[m][0]) m = l;
+        if (r < h.length && h[r][0] < h[m][0]) m = r;
+        if (m === i) break;
+        [h[m], h[i]] = [h[i], h[m]];
+        i = m;
+      }
+    }
+    return top;
+  }
+
+  /**
+   * A* from node `src` to `dst`; edge cost = length × factor.  The straight
+   * line distance never overestimates that, so the path found is optimal.
+   * @returns {number[]|null} edge indices in walking order
+   */
+  function astar(g, src, dst, factors) {
+    const n = g.lat.length;
+    const best = new Float64Array(n).fill(Infinity);
+    const via = new Int32Array(n).fill(-1);
+    const done = new Uint8Array(n);
+    const h = i => dist(g.lat[i], g.lng[i], g.lat[dst], g.lng[dst]);
+    const open = [];
+    best[src] = 0;
+    heapPush(open, h(src), src);
+
+    while (open.length > 0) {
+      const [, u] = heapPop(open);
+      if (u === dst) break;
+      if (done[u]) continue;
+      done[u] = 1;
+      for (let k = g.adjStart[u]; k < g.adjStart[u + 1]; k++) {
+        const e = g.adjEdge[k];
+        const v = g.from[e] === u ? g.to[e] : g.from[e];
+        const cost = best[u] + g.len[e] * (factors ? factors[e] : 1);
+        if (cost < best[v]) {
+          best[v] = cost;
+          via[v] = e;
+          heapPush(open, cost + h(v), v);
+        }
+      }
+    }
+    if (best[dst] === Infinity) return null;
+
+    const path = [];
+    for (let v = dst; v !== src;) {
+      const e = via[v];
+      path.push(e);
+      v = g.from[e] === v ? g.to[e] : g.from[e];
+    }
+    return path.reverse();
+  }
+
+  /* ===== OSRM-SHAPED OUTPUT ===== */
+
+  function bearing(lat1, lng1, lat2, lng2) {
+    const dlng = (lng2 - lng1) * Math.cos(lat1 * Math.PI / 180);
+    return (Math.atan2(dlng, lat2 - lat1) * 180 / Math.PI + 360) % 360;
+  }
+
+  function turnModifier(delta) {
+    const d = ((delta + 540) % 360) - 180;   /* −180 … 180, positive = right */
+    const a = Math.abs(d);
+    if (a < 20) return 'straight';
+    const side = d > 0 ? 'right' : 'left';
+    if (a < 60) return `slight ${side}`;
+    if (a < 130) return side;
+    if (a < 165) return `sharp ${side}`;
+    return 'uturn';
+  }
+
+  /*
+   * One leg from `a` to `b` ({ lat, lng }) over the node path.  Steps start
+   * wherever the way name changes, like OSRM's.  With a preference matcher,
+   * barriers it reports on a step's ways are listed in `step.warnings`.
+   */
+  function buildLeg(g, a, b, srcNode, edges, prefs) {
+    const nodes = [srcNode];
+    edges.forEach(e => {
+      const last = nodes[nodes.length - 1];
+      nodes.push(g.from[e] === last ? g.to[e] : g.from[e]);
+    });
+    const pts = [[a.lat, a.lng], ...nodes.map(i => [g.lat[i], g.lng[i]]), [b.lat, b.lng]];
+    /* Name of the way walked from pts[i] to pts[i + 1]; the snapping stubs take their neighbour's */
+    const names = pts.slice(1).map((_, i) => {
+      const e = edges[Math.min(Math.max(i - 1, 0), edges.length - 1)];
+      return e === undefined ? '' : g.ways[g.way[e]].name;
+    });
+
+    const steps = [];
+    let distance = 0;
+    for (let i = 0; i < pts.length - 1; i++) {
+      const [lat1, lng1] = pts[i];
+      const [lat2, lng2] = pts[i + 1];
+      const d = dist(lat1, lng1, lat2, lng2);
+      distance += d;
+      const cur = steps[steps.length - 1];
+      if (!cur || names[i] !== cur.name) {
+        let maneuver = { type: 'depart' };
+        if (cur) {
+          const [plat, plng] = pts[i - 1];
+          const mod = turnModifier(bearing(lat1, lng1, lat2, lng2) - bearing(plat, plng, lat1, lng1));
+          maneuver = mod === 'straight' ? { type: 'new name', modifier: mod } : { type: 'turn', modifier: mod };
+        }
+        steps.push({ name: names[i], distance: 0, duration: 0, maneuver: { ...maneuver, location: [lng1, lat1] } });
+      }
+      const step = steps[steps.length - 1];
+      step.distance += d;
+      step.duration += d / WALK_SPEED_MS;
+
+      /* pts[i] → pts[i + 1] is edge i − 1 except for the snapping stubs */
+      const e = edges[i - 1];
+      if (prefs && i >= 1 && e !== undefined) {
+        const kerbs = [g.kerb.get(nodes[i]), i === 1 ? g.kerb.get(nodes[0]) : null].filter(Boolean);
+        prefs.barriers(g.ways[g.way[e]].tags || {}, kerbs).forEach(w => {
+          step.warnings = step.warnings || [];
+          if (!step.warnings.includes(w)) step.warnings.push(w);
+        });
+      }
+    }
+    steps.push({ name: steps[steps.length - 1]?.name || '', distance: 0, duration: 0, maneuver: { type: 'arrive', location: [b.lng, b.lat] } });
+
+    return {
+      distance,
+      duration: distance / WALK_SPEED_MS,
+      steps,
+      coordinates: pts.map(([lat, lng]) => [lng, lat])
+    };
+  }
+
+  /*
+   * Route through `points` in order; one leg per consecutive pair, or null.
+   * With `barrierFree` (factors with the barrier edges closed) each leg
+   * first tries to get round every barrier; only a leg that can't is routed
+   * over them, and only its directions carry the barrier warnings.
+   */
+  function routeThrough(g, points, factors, barrierFree, prefs) {
+    const snapped = points.map(p => nearestNode(g, p.lat, p.lng));
+    if (snapped.some(i => i < 0)) return null;
+
+    const legs = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      let edges = [];
+      let warn = null;
+      if (snapped[i] !== snapped[i + 1]) {
+        edges = barrierFree ? astar(g, snapped[i], snapped[i + 1], barrierFree) : null;
+        if (!edges) {
+          edges = astar(g, snapped[i], snapped[i + 1], factors);
+          warn = barrierFree ? prefs : null;
+        }
+      }
+      if (!edges) return null;
+      legs.push(buildLeg(g, points[i], points[i + 1], snapped[i], edges, warn));
+    }
+
+    let coordinates = [];
+    legs.forEach(l => { coordinates = coordinates.concat(coordinates.length ? l.coordinates.slice(1) : l.coordinates); });
+    return {
+      distance: legs.reduce((s, l) => s + l.distance, 0),
+      duration: legs.reduce((s, l) => s + l.duration, 0),
+      geometry: { type: 'LineString', coordinates },
+      legs: legs.map(({ distance, duration, steps }) => ({ distance, duration, steps }))
+    };
+  }
+
+  /**
+   * Routes through `points` on graph `g`: the one at the slider's weight and,
+   * with `alternatives`, the plain shortest path when it differs by more
+   * than 50 m.  Only offering those two keeps the slider in charge of which
+   * route is recommended.  Preferences (`prefs`, a RoutePreferences matcher)
+   * apply to both, and the barriers it names are avoided where possible.
+   */
+  function routeOptions(g, points, alternatives, prefs) {
+    const weights = [getConfig().weight];
+    if (alternatives) weights.push(0);
+    const { factors: prefFactors, barriers } = preferenceFactors(g, prefs);
+    const routes = [];
+    [...new Set(weights)].forEach(w => {
+      const factors = combineFactors(dangerFactors(g, w), prefFactors);
+      const r = routeThrough(g, points, factors, barriers && closeEdges(g, factors, barriers), prefs);
+      if (r && !routes.some(o => Math.abs(o.distance - r.distance) <= 50)) routes.push(r);
+    });
+    return routes;
+  }
+
+  /* ===== ONLINE CORRIDORS ===== */
+
+  /* Area around `points`, padded and snapped outwards to CORRIDOR_GRID_DEG */
+  function corridorBounds(points) {
+    const lats = points.map(p => p.lat), lngs = points.map(p => p.lng);
+    const padLat = Math.max(CORRIDOR_PAD_DEG, (Math.max(...lats) - Math.min(...lats)) * 0.25);
+    const padLng = Math.max(CORRIDOR_PAD_DEG, (Math.max(...lngs) - Math.min(...lngs)) * 0.25);
+    const down = v => Math.floor(v / CORRIDOR_GRID_DEG) * CORRIDOR_GRID_DEG;
+    const up = v => Math.ceil(v / CORRIDOR_GRID_DEG) * CORRIDOR_GRID_DEG;
+    return {
+      south: down(Math.min(...lats) - padLat),
+      west: down(Math.min(...lngs) - padLng),
+      north: up(Math.max(...lats) + padLat),
+      east: up(Math.max(...lngs) + padLng)
+    };
+  }
+
+  /* Whether a corridor is small enough to fetch in one query */
+  function corridorFits(b) {
+    return b.north - b.south <= MAX_CORRIDOR_DEG && b.east - b.west <= MAX_CORRIDOR_DEG;
+  }
+
+  /* Whether the trip is short enough to route on a fetched corridor */
+  function covers(origin, destination) {
+    return corridorFits(corridorBounds([origin, destination]));
+  }
+
+  async function corridorGraph(bounds, signal) {
+    const key = [bounds.south, bounds.west, bounds.north, bounds.east].map(v => v.toFixed(3)).join(',');
+    /* A cached corridor that already contains this one will do */
+    for (const [k, g] of _corridors) {
+      const b = g.bounds;
+      if (b.south <= bounds.south && b.west <= bounds.west && b.north >= bounds.north && b.east >= bounds.east) {
+        _corridors.delete(k);
+        _corridors.set(k, g);
+        return g;
+      }
+    }
+    const ways = await fetchWays(bounds, signal);
+    const g = buildGraph({ id: key, bounds, ...ways });
+    _corridors.set(key, g);
+    if (_corridors.size > MAX_CACHED_GRAPHS) _corridors.delete(_corridors.keys().next().value);
+    console.log(`[GraphRouter] Corridor ${key}: ${g.lat.length} nodes, ${g.from.length} edges`);
+    return g;
+  }
+
+  /**
+   * Plan on the walking network of the trip's corridor, fetched from
+   * Overpass.  Rejects when the trip, via-points included, is too long for
+   * one corridor, when Overpass can't be reached, or with an AbortError on
+   * `signal`.
+   * `prefs` is an optional RoutePreferences matcher.
+   * @returns {Promise<{ routes: Route[] }>}
+   */
+  async function route({ origin, destination, via, alternatives, prefs, signal }) {
+    const points = [origin, ...(via || []), destination];
+    const bounds = corridorBounds(points);
+    if (!corridorFits(bounds)) throw new Error('Trip too long for safety routing');
+    const g = await corridorGraph(bounds, signal);
+    const routes = routeOptions(g, points, alternatives, prefs);
+    console.log(`[GraphRouter] Routed ${routes.length} option(s) at weight ${getConfig().weight}`);
+    return { routes };
+  }
+
+  return { getConfig, setConfig, fetchWays, buildGraph, inBounds, routeOptions, covers, route };
+})();
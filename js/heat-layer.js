@@ -0,0 +1,133 @@
+/* ===== heat-layer.js — Canvas Kernel-Density Heatmap Layer ===== */
+
+/*
+ * A Leaflet layer that draws weighted points as a density heatmap on one
+ * canvas in the overlay pane.  The canvas moves with the map while
+ * panning and is redrawn on moveend, so dragging stays smooth however
+ * many points there are; it hides during zoom animations.
+ *
+ * Each point stamps a blurred disc (the kernel) whose opacity is its
+ * weight; overlapping discs build up density, which is then mapped
+ * through a colour ramp.  The kernel has a fixed ground radius, so the
+ * picture keeps its meaning across zoom levels.
+ */
+
+const HeatLayer = (() => {
+  const GRADIENT = { 0.25: '#6C63FF', 0.55: '#FFA000', 0.85: '#FF3D71', 1.0: '#FFEB3B' };
+  const MIN_RADIUS_PX = 6;
+  const MAX_RADIUS_PX = 90;
+
+  let _palette = null;   /* 256 RGBA entries */
+  const _stamps = {};    /* rounded radius → kernel canvas */
+
+  function palette() {
+    if (_palette) return _palette;
+    const c = document.createElement('canvas');
+    c.width = 256; c.height = 1;
+    const ctx = c.getContext('2d');
+    const grad = ctx.createLinearGradient(0, 0, 256, 0);
+    Object.entries(GRADIENT).forEach(([stop, color]) => grad.addColorStop(+stop, color));
+    ctx.fillStyle = grad;
+    ctx.fillRect(0, 0, 256, 1);
+    _palette = ctx.getImageData(0, 0, 256, 1).data;
+    return _palette;
+  }
+
+  /* Radial falloff disc: opaque centre fading to nothing at `r` */
+  function stamp(r) {
+    if (_stamps[r]) return _stamps[r];
+    const c = document.createElement('canvas');
+    c.width = c.height = r * 2;
+    const ctx = c.getContext('2d');
+    const grad = ctx.createRadialGradient(r, r, 0, r, r, r);
+    grad.addColorStop(0, 'rgba(0,0,0,1)');
+    grad.addColorStop(1, 'rgba(0,0,0,0)');
+    ctx.fillStyle = grad;
+    ctx.fillRect(0, 0, r * 2, r * 2);
+    _stamps[r] = c;
+    return c;
+  }
+
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.radiusM=120]    – kernel radius on the ground
+   * @param {number} [opts.maxWeight=5]    – weight that stamps a fully opaque kernel
+   * @param {number} [opts.opacity=0.65]   – overall layer opacity
+   * @returns {L.Layer} with setPoints([[lat, lng, weight], …])
+   */
+  function create(opts) {
+    const radiusM = opts?.radiusM || 120;
+    const maxWeight = opts?.maxWeight || 5;
+    const opacity = opts?.opacity || 0.65;
+
+    const Layer = L.Layer.extend({
+      initialize() {
+        this._points = [];
+      },
+
+      onAdd(map) {
+        this._canvas = L.DomUtil.create('canvas', 'heat-layer leaflet-zoom-hide');
+        this._canvas.style.pointerEvents = 'none';
+        map.getPanes().overlayPane.appendChild(this._canvas);
+        map.on('moveend resize', this._redraw, this);
+        this._redraw();
+      },
+
+      onRemove(map) {
+        map.off('moveend resize', this._redraw, this);
+        L.DomUtil.remove(this._canvas);
+        this._canvas = null;
+      },
+
+      setPoints(points) {
+        this._points = points || [];
+        if (this._map) this._redraw();
+        return this;
+      },
+
+      _redraw() {
+        const map = this._map;
+        const canvas = this._canvas;
+        if (!map || !canvas) return;
+        const size = map.getSize();
+        L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+        canvas.width = size.x;
+        canvas.height = size.y;
+        if (this._points.length === 0 || size.x === 0 || size.y === 0) return;
+
+        /* Ground radius → pixels at the current zoom and latitude */
+        const lat = map.getCenter().lat;
+        const mPerPx = 40075016.686 * Math.cos(lat * Math.PI / 180) / Math.pow(2, map.getZoom() + 8);
+        const r = Math.round(Math.max(MIN_RADIUS_PX, Math.min(MAX_RADIUS_PX, radiusM / mPerPx)));
+        const kernel = stamp(r);
+
+        const ctx = canvas.getContext('2d');
+        for (const [pLat, pLng, w] of this._points) {
+          const p = map.latLngToContainerPoint([pLat, pLng]);
+          if (p.x < -r || p.y < -r || p.x > size.x + r || p.y > size.y + r) continue;
+          ctx.globalAlpha = Math.min(1, (w || 1) / maxWeight);
+          ctx.drawImage(kernel, p.x - r, p.y - r);
+        }
+
+        /* Density (alpha) → colour ramp */
+        const img = ctx.getImageData(0, 0, size.x, size.y);
+        const px = img.data;
+        const pal = palette();
+        for (let i = 3; i < px.length; i += 4) {
+          const a = px[i];
+          if (!a) continue;
+          const j = a * 4;
+          px[i - 3] = pal[j];
+          px[i - 2] = pal[j + 1];
+          px[i - 1] = pal[j + 2];
+          px[i] = a * opacity;
+        }
+        ctx.putImageData(img, 0, 0);
+      }
+    });
+
+    return new Layer();
+  }
+
+  return { create };
+})();
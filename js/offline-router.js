@@ -0,0 +1,157 @@
+/* ===== offline-router.js — Offline Pedestrian Routing ===== */
+
+/*
+ * A last-resort router for when the configured backend can't be reached.
+ * Alongside an offline map pack the walkable OSM ways of the same area are
+ * downloaded once and kept in IndexedDB; routing then runs the same
+ * safety-weighted A* as online planning (graph-router.js) over that graph
+ * in the browser, so the path bends around known incidents by itself.
+ *
+ * Results come back in the OSRM route shape RoutingProviders normalises
+ * every backend to, so route cards, segments and turn-by-turn steps work
+ * unchanged.  Registered as the 'offline' provider; RoutingProviders.route
+ * falls back to it automatically on network failures.
+ */
+
+const OfflineRouter = (() => {
+  const DB_NAME = 'leadinglight-graphs';
+  const DB_VERSION = 1;
+  const INDEX_KEY = 'leadinglight_offline_graphs';
+  const MAX_GRAPH_DEG = 0.1;        /* ≈ 11 km a side; bigger areas are too much for Overpass and memory */
+
+  let _dbPromise = null;
+  let _loaded = null;               /* { id, graph } — one graph in memory at a time */
+
+  /* ===== STORAGE ===== */
+  function openDB() {
+    if (_dbPromise) return _dbPromise;
+    _dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') { resolve(null); return; }
+      let req;
+      try {
+        req = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (err) {
+        console.warn('[Offline] IndexedDB unavailable:', err);
+        resolve(null);
+        return;
+      }
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('graphs')) db.createObjectStore('graphs', { keyPath: 'id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn('[Offline] Could not open IndexedDB:', req.error);
+        resolve(null);
+      };
+    });
+    return _dbPromise;
+  }
+
+  /* Run `fn(store)` in one transaction; resolves with the last request's result */
+  async function withStore(mode, fn) {
+    const db = await openDB();
+    if (!db) return null;
+    return new Promise(resolve => {
+      try {
+        const tx = db.transaction('graphs', mode);
+        const req = fn(tx.objectStore('graphs'));
+        tx.oncomplete = () => resolve(req ? req.result : null);
+        tx.onerror = tx.onabort = () => {
+          console.warn(`[Offline] graphs ${mode} failed:`, tx.error);
+          resolve(null);
+        };
+      } catch (err) {
+        console.warn(`[Offline] graphs ${mode} failed:`, err);
+        resolve(null);
+      }
+    });
+  }
+
+  /** Saved graphs: [{ id, bounds, nodes, edges, created }] */
+  function list() {
+    try { return JSON.parse(localStorage.getItem(INDEX_KEY)) || []; } catch { return []; }
+  }
+
+  function saveIndex(entries) {
+    localStorage.setItem(INDEX_KEY, JSON.stringify(entries));
+  }
+
+  /* ===== DOWNLOAD ===== */
+
+  /* Whether a walking graph may be downloaded for this area at all */
+  function fits(bounds) {
+    return bounds.north - bounds.south <= MAX_GRAPH_DEG && bounds.east - bounds.west <= MAX_GRAPH_DEG;
+  }
+
+  /**
+   * Fetch the walkable ways in `bounds` and save them as graph `id`
+   * (normally the id of the tile pack they belong to).  Areas that don't
+   * fit() are refused; network errors propagate.
+   */
+  async function downloadGraph(id, bounds, signal) {
+    if (!fits(bounds)) throw new Error('Area too large for offline routing');
+    const { lat, lng, ways, kerbs } = await GraphRouter.fetchWays(bounds, signal);
+    const edges = ways.reduce((n, w) => n + w.nodes.length - 1, 0);
+
+    const stored = await withStore('readwrite', s => s.put({ id, bounds: { ...bounds }, lat, lng, ways, kerbs }));
+    if (stored === null) throw new Error('Offline storage is not available');
+    saveIndex([...list().filter(g => g.id !== id), { id, bounds: { ...bounds }, nodes: lat.length, edges, created: Date.now() }]);
+    if (_loaded?.id === id) _loaded = null;
+    console.log(`[Offline] Saved walking graph ${id}: ${lat.length} nodes, ${edges} edges`);
+    return { nodes: lat.length, edges };
+  }
+
+  async function removeGraph(id) {
+    saveIndex(list().filter(g => g.id !== id));
+    if (_loaded?.id === id) _loaded = null;
+    await withStore('readwrite', s => s.delete(id));
+  }
+
+  /* ===== GRAPH ===== */
+
+  async function loadGraph(id) {
+    if (_loaded?.id === id) return _loaded.graph;
+    const stored = await withStore('readonly', s => s.get(id));
+    if (!stored) return null;
+    _loaded = { id, graph: GraphRouter.buildGraph(stored) };
+    return _loaded.graph;
+  }
+
+  /** Saved graph whose area contains every point, or null */
+  function graphFor(points) {
+    return list().find(g => points.every(p => GraphRouter.inBounds(g.bounds, p))) || null;
+  }
+
+  /* Whether an offline route between these points is possible at all */
+  function covers(origin, destination) {
+    return !!graphFor([origin, destination]);
+  }
+
+  /**
+   * Provider entry point (see routing-providers.js).  Rejects rather than
+   * skip a via-point that no saved graph holds together with the trip's
+   * ends.  Routes are weighted by the safety slider like online ones
+   * (GraphRouter.routeOptions), with the plain shortest path offered as an
+   * alternative when it differs, and shaped by the trip's preferences
+   * (`prefs`) the same way too.
+   */
+  async function route({ origin, destination, via, alternatives, prefs }) {
+    if (!graphFor([origin, destination])) throw new Error('Outside the offline map area');
+    const points = [origin, ...(via || []), destination];
+    const entry = graphFor(points);
+    if (!entry) throw new Error('A stop is outside the offline map area');
+    const g = await loadGraph(entry.id);
+    if (!g) throw new Error('Offline walking graph is missing');
+
+    const routes = GraphRouter.routeOptions(g, points, alternatives && points.length === 2, prefs);
+    console.log(`[Offline] Routed ${routes.length} option(s) on graph ${g.id}`);
+    return { routes };
+  }
+
+  if (typeof RoutingProviders !== 'undefined') {
+    RoutingProviders.register('offline', { route, covers });
+  }
+
+  return { list, fits, downloadGraph, removeGraph, covers, route };
+})();
@@ -0,0 +1,99 @@
+/* ===== opening-hours.js — OSM opening_hours evaluation ===== */
+
+/*
+ * Evaluates the common subset of the OSM opening_hours syntax:
+ *
+ *   24/7
+ *   Mo-Fr 08:00-18:00; Sa 09:00-13:00; Su off
+ *   Mo,We,Fr 10:00-12:00,14:00-18:00
+ *   Fr-Sa 18:00-02:00          (ranges may run past midnight)
+ *   Mo-Su 07:00+               (open end — treated as open until midnight)
+ *
+ * Later rules override earlier ones for the weekdays they name, as in the
+ * spec.  Anything outside this subset (month/week selectors, sunrise/sunset,
+ * PH-only rules) makes isOpen() return null — "unknown" — rather than
+ * guessing.
+ */
+
+const OpeningHours = (() => {
+  const DAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+  const DAY_TOKEN = /^(Mo|Tu|We|Th|Fr|Sa|Su|PH|SH)([-,](Mo|Tu|We|Th|Fr|Sa|Su|PH|SH))*$/;
+  const FULL_DAY = [[0, 1440]];
+
+  /* "Mo-Fr,Su" → Set of weekday numbers (0 = Sunday); holidays are ignored */
+  function parseDays(token) {
+    const days = new Set();
+    token.split(',').forEach(part => {
+      const [a, b] = part.split('-');
+      const from = DAYS.indexOf(a);
+      if (from === -1) return; /* PH / SH */
+      if (!b) { days.add(from); return; }
+      const to = DAYS.indexOf(b);
+      if (to === -1) return;
+      for (let d = from; ; d = (d + 1) % 7) {
+        days.add(d);
+        if (d === to) break;
+      }
+    });
+    return days;
+  }
+
+  /* "08:00-12:00,13:00-17:00" → [[480, 720], [780, 1020]] in minutes; null if unsupported */
+  function parseTimes(text) {
+    if (text === '' || text === 'open' || text === '24/7') return FULL_DAY;
+    if (text === 'off' || text === 'closed') return [];
+    const ranges = [];
+    for (const part of text.split(',')) {
+      const m = part.trim().match(/^(\d{1,2}):(\d{2})(?:-(\d{1,2}):(\d{2}))?(\+)?$/);
+      if (!m || (!m[3] && !m[5])) return null;
+      const start = +m[1] * 60 + +m[2];
+      let end = m[3] ? +m[3] * 60 + +m[4] : 1440;
+      if (end <= start) end += 1440;
+      ranges.push([start, end]);
+    }
+    return ranges;
+  }
+
+  /* Weekday → time ranges, after applying every rule in order; null if unsupported */
+  function parseWeek(spec) {
+    const week = {};
+    const rules = spec.replace(/"[^"]*"/g, '').split(/;|\|\|/).map(r => r.trim()).filter(Boolean);
+    if (rules.length === 0) return null;
+
+    for (const rule of rules) {
+      const tokens = rule.replace(/\s*,\s*/g, ',').split(/\s+/);
+      let days = null;
+      if (DAY_TOKEN.test(tokens[0])) {
+        days = parseDays(tokens.shift());
+        if (days.size === 0) continue; /* holiday-only rule */
+      }
+      const timeText = tokens.filter(t => t !== 'open').join(' ').trim();
+      const times = parseTimes(timeText);
+      if (times === null) return null;
+      (days ? [...days] : [0, 1, 2, 3, 4, 5, 6]).forEach(d => { week[d] = times; });
+    }
+    return week;
+  }
+
+  /**
+   * Is a place with this opening_hours value open at `date`?
+   * @returns {boolean|null} – null when the tag is missing or unsupported
+   */
+  function isOpen(spec, date) {
+    if (!spec) return null;
+    const week = parseWeek(String(spec).trim());
+    if (!week) return null;
+
+    const day = date.getDay();
+    const mins = date.getHours() * 60 + date.getMinutes();
+    const today = week[day] || [];
+    const yesterday = week[(day + 6) % 7] || [];
+
+    if (today.some(([s, e]) => mins >= s && mins < e)) return true;
+    /* Ranges from yesterday that run past midnight */
+    if (yesterday.some(([, e]) => e > 1440 && mins + 1440 < e)) return true;
+    return false;
+  }
+
+  return { isOpen };
+})();
@@ -0,0 +1,171 @@
+/* ===== overpass.js — Rate-Limited Overpass API Client ===== */
+
+/*
+ * Every Overpass request in the app goes through query() so they share
+ * one politeness budget: at most MAX_CONCURRENT requests in flight (the
+ * public server grants two slots per client), and after a 429 or 504 an
+ * endpoint is left alone until its backoff runs out.  The server's
+ * Retry-After is honoured when it is readable; otherwise the wait doubles
+ * from BASE_BACKOFF_MS per retry.
+ *
+ * Endpoints are tried in order, moving on when one fails or is backing
+ * off.  The list lives in localStorage so a local Overpass instance (or a
+ * canned-response stub) can be used in development and tests without
+ * touching code.
+ */
+
+const Overpass = (() => {
+  const CONFIG_KEY = 'leadinglight_overpass';
+  const DEFAULT_ENDPOINTS = [
+    'https://overpass-api.de/api/interpreter',
+    'https://overpass.kumi.systems/api/interpreter'
+  ];
+  const MAX_CONCURRENT = 2;
+  const MAX_RETRIES = 3;
+  const BASE_BACKOFF_MS = 2000;
+  const MAX_BACKOFF_MS = 60000;
+
+  let _active = 0;
+  const _waiting = [];            /* resolvers for callers queued on a slot */
+  const _blockedUntil = {};       /* endpoint → no request starts before this time */
+
+  /* ===== CONFIG ===== */
+  function getConfig() {
+    let stored = {};
+    try { stored = JSON.parse(localStorage.getItem(CONFIG_KEY)) || {}; } catch { stored = {}; }
+    const endpoints = (Array.isArray(stored.endpoints) ? stored.endpoints : [])
+      .filter(u => typeof u === 'string' && u.trim())
+      .map(u => u.trim());
+    return { endpoints: endpoints.length > 0 ? endpoints : [...DEFAULT_ENDPOINTS] };
+  }
+
+  /**
+   * Persist the endpoint list, tried in order, e.g.
+   *   setConfig({ endpoints: ['http://localhost:12345/api/interpreter'] })
+   * Pass `null` to restore the public defaults.
+   */
+  function setConfig(cfg) {
+    if (cfg === null) {
+      localStorage.removeItem(CONFIG_KEY);
+      return getConfig();
+    }
+    const endpoints = typeof cfg.endpoints === 'string' ? [cfg.endpoints] : cfg.endpoints;
+    localStorage.setItem(CONFIG_KEY, JSON.stringify({ endpoints }));
+    return getConfig();
+  }
+
+  /* ===== REQUESTS ===== */
+
+  function abortError() {
+    return new DOMException('Aborted', 'AbortError');
+  }
+
+  /* setTimeout that rejects with an AbortError when `signal` fires */
+  function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) { reject(abortError()); return; }
+      const onAbort = () => { clearTimeout(timer); reject(abortError()); };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /* Wait for a free slot.  An aborted waiter leaves the queue at once, so
+   * release() never hands its wake-up to a caller that has given up. */
+  async function acquire(signal) {
+    while (_active >= MAX_CONCURRENT) {
+      await new Promise((resolve, reject) => {
+        if (signal?.aborted) { reject(abortError()); return; }
+        const onAbort = () => {
+          const i = _waiting.indexOf(wake);
+          if (i >= 0) _waiting.splice(i, 1);
+          reject(abortError());
+        };
+        const wake = () => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        };
+        _waiting.push(wake);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+    _active++;
+  }
+
+  function release() {
+    _active--;
+    const next = _waiting.shift();
+    if (next) next();
+  }
+
+  function backoffDelay(resp, attempt) {
+    const retryAfter = parseInt(resp.headers.get('Retry-After'), 10);
+    if (retryAfter > 0) return Math.min(MAX_BACKOFF_MS, retryAfter * 1000);
+    return Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * Math.pow(2, attempt));
+  }
+
+  function blockedFor(url) {
+    return Math.max(0, (_blockedUntil[url] || 0) - Date.now());
+  }
+
+  /* One POST to one endpoint; a 429 / 504 also starts that endpoint's backoff */
+  async function post(url, ql, signal, attempt) {
+    await acquire(signal);
+    let resp;
+    try {
+      resp = await fetch(url, {
+        method: 'POST',
+        body: 'data=' + encodeURIComponent(ql),
+        signal
+      });
+    } finally {
+      release();
+    }
+
+    if (resp.status === 429 || resp.status === 504) {
+      const delay = backoffDelay(resp, attempt);
+      _blockedUntil[url] = Math.max(_blockedUntil[url] || 0, Date.now() + delay);
+      console.warn(`[Overpass] ${url}: HTTP ${resp.status}, backing off ${Math.round(delay / 1000)} s`);
+    }
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    return resp.json();
+  }
+
+  /**
+   * Run an Overpass QL query and resolve with the parsed JSON from the
+   * first configured endpoint that answers.  Rejects with an AbortError
+   * when `signal` fires, or with the last endpoint's error once every
+   * endpoint has failed (rate limiting is retried up to MAX_RETRIES times).
+   * @param {string} ql
+   * @param {Object} [opts]
+   * @param {AbortSignal} [opts.signal]
+   */
+  async function query(ql, opts) {
+    const signal = opts?.signal;
+    const { endpoints } = getConfig();
+    let lastErr = null;
+
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+      for (const url of endpoints) {
+        if (blockedFor(url) > 0) continue;
+        try {
+          return await post(url, ql, signal, attempt);
+        } catch (err) {
+          if (err.name === 'AbortError') throw err;
+          lastErr = err;
+          console.warn(`[Overpass] ${url} failed:`, err.message);
+        }
+      }
+      /* Only rate limiting is worth waiting for; other failures are final */
+      const waits = endpoints.map(blockedFor).filter(ms => ms > 0);
+      if (waits.length === 0 || attempt === MAX_RETRIES) break;
+      await wait(Math.min(...waits), signal);
+    }
+    throw lastErr || new Error('No Overpass endpoint available');
+  }
+
+  return { getConfig, setConfig, query };
+})();
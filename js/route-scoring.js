@@ -0,0 +1,106 @@
+/* ===== route-scoring.js — Danger-Zone Scoring Core ===== */
+
+/*
+ * The part of route safety scoring that weighs danger zones against route
+ * samples.  It is pure (no Leaflet, DOM or MapModule state) so the same
+ * code runs on the main thread and in the scoring worker; MapModule adds
+ * lighting, safe havens and the final score on top.
+ */
+
+const RouteScoring = (() => {
+  /*
+   * Time-of-day / weekday weighting.
+   * An incident with an exact timestamp counts more when the walk happens at
+   * a similar hour (Gaussian, σ = 3 h, wrapping at midnight) and on a similar
+   * kind of day.  Weight ranges 0.4 (opposite time) … 1.6 (same hour, same
+   * weekday); zones without an exact time keep a neutral weight of 1.
+   */
+  const TIME_SIGMA_H = 3;
+
+  /* A zone's weight halves every RECENCY_HALF_LIFE_DAYS */
+  const RECENCY_HALF_LIFE_DAYS = 60;
+  const DAY_MS = 86400000;
+
+  /* Per-sample danger above these thresholds marks a stretch as medium / high risk */
+  const SEGMENT_RISK_MEDIUM = 0.5;
+  const SEGMENT_RISK_HIGH = 3;
+
+  /** @param {Date|number|null} when – time of the walk */
+  function incidentTimeWeight(zone, when) {
+    if (!when || !zone.timestamp || !zone.timeExact) return 1;
+    const t = new Date(zone.timestamp);
+    const w = new Date(+when);
+    const hz = t.getHours() + t.getMinutes() / 60;
+    const hw = w.getHours() + w.getMinutes() / 60;
+    let dh = Math.abs(hz - hw);
+    if (dh > 12) dh = 24 - dh;
+    const hourSim = Math.exp(-(dh * dh) / (2 * TIME_SIGMA_H * TIME_SIGMA_H));
+
+    const isWeekend = d => d === 0 || d === 6;
+    let daySim = 0.6;
+    if (t.getDay() === w.getDay()) daySim = 1;
+    else if (isWeekend(t.getDay()) === isWeekend(w.getDay())) daySim = 0.8;
+
+    return 0.4 + 1.2 * hourSim * daySim;
+  }
+
+  /**
+   * 0…1 weight for a zone's age at `when` (Date or ms; default: now).
+   * 1 for undated zones and incidents that haven't happened yet.
+   */
+  function recencyWeight(zone, when) {
+    if (!zone.timestamp) return 1;
+    const now = when ? +when : Date.now();
+    const ageDays = Math.max(0, (now - zone.timestamp) / DAY_MS);
+    return Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+  }
+
+  function segmentRisk(danger) {
+    if (danger >= SEGMENT_RISK_HIGH) return 'high';
+    if (danger >= SEGMENT_RISK_MEDIUM) return 'medium';
+    return 'low';
+  }
+
+  function quickDist(lat1, lng1, lat2, lng2) {
+    const dlat = lat1 - lat2;
+    const dlng = (lng1 - lng2) * Math.cos(lat1 * Math.PI / 180);
+    return Math.sqrt(dlat * dlat + dlng * dlng);
+  }
+
+  /**
+   * Danger each route sample picks up from zones within twice their radius.
+   * @param {Array<{lat, lng, when}>} samples – `when` in ms since epoch, or null
+   * @param {Array} zones – { lat, lng, radius, severity, timestamp, timeExact, recentCount? }
+   * @returns {Array<{ danger: number, contributors: Array<[number, number]> }>}
+   *          one entry per sample; contributors are [index into `zones`, contribution]
+   */
+  function zoneDanger(samples, zones) {
+    const index = ZoneIndex.fromZones(zones.map((z, idx) => ({ lat: z.lat, lng: z.lng, idx })));
+    const reachM = 2 * zones.reduce((max, z) => Math.max(max, z.radius), 0);
+
+    return samples.map(({ lat, lng, when }) => {
+      let danger = 0;
+      const contributors = [];
+      for (const { idx } of index.near(lat, lng, reachM)) {
+        const z = zones[idx];
+        const d = quickDist(lat, lng, z.lat, z.lng);
+        const dangerRadius = z.radius / 111320; /* meters → degrees approx */
+        if (d < dangerRadius * 2) {
+          const proximity = 1 - Math.min(d / (dangerRadius * 2), 1);
+          const incidents = z.recentCount || 1;
+          /* severity is the zone's CrimeTaxonomy class severity (1–5),
+           * scaled by time-of-day similarity and by the incident's age */
+          const contribution = proximity * z.severity * incidents * 0.4
+            * incidentTimeWeight(z, when) * recencyWeight(z, when);
+          danger += contribution;
+          contributors.push([idx, contribution]);
+        }
+      }
+      /* Keep the caller's zone order regardless of grid order */
+      contributors.sort((a, b) => a[0] - b[0]);
+      return { danger, contributors };
+    });
+  }
+
+  return { incidentTimeWeight, recencyWeight, segmentRisk, zoneDanger };
+})();
@@ -1,12 +1,24 @@
-/* ===== routes.js — Real Route Fetching via OSRM ===== */
+/* ===== routes.js — Real Route Fetching (OSRM by default, see routing-providers.js) ===== */
 
 const RoutesModule = (() => {
   let routeLines = [];
   let activeRoute = null;
   let selectedRouteIdx = null;  /* previewed route (not yet navigating) */
   let currentRoutes = [];
-  let rawOsrmRoutes = [];   /* keep raw OSRM responses for step data */
+  let rawOsrmRoutes = [];   /* raw OSRM-shaped routes (any provider) for step data */
+  let guidance = null;      /* live turn-by-turn state for the active route */
+  let stopPositionWatch = null;
+  let tripOrigin = null;        /* { lat, lng } the current trip was planned from */
+  let tripDestination = null;   /* { lat, lng } of the current trip, for rerouting */
+  let tripStops = [];           /* ordered intermediate stops: { lat, lng, name } */
+  let tripTime = { mode: 'now', time: null };   /* 'now' | 'depart' (leave at) | 'arrive' (arrive by) */
+  let tripPrefs = [];           /* preference profile ids for this trip (route-preferences.js) */
+  let stopMarkers = [];
+  let rerouting = false;
+  let planGeneration = 0;       /* bumped per fetchRoutes() and haven routing; older plans are dropped when they land */
   function init() {
+    _renderPrefChips();
+    _resetTripPrefsUI();
     bindEvents();
   }
 
@@ -48,6 +60,223 @@ const RoutesModule = (() => {
 
     /* Directions page — Show on Map button */
     document.getElementById('directionsShowMap')?.addEventListener('click', showMapWithRoute);
+
+    /* Directions page — Nearest safe place */
+    document.getElementById('directionsHaven')?.addEventListener('click', routeToNearestHaven);
+
+    /* Leave at / arrive by picker */
+    document.getElementById('routeTimeMode')?.addEventListener('change', (e) => {
+      const input = document.getElementById('routeTimeInput');
+      const mode = e.target.value;
+      if (mode !== 'now' && input && !input.value) input.value = _toLocalInputValue(new Date());
+      if (input) input.hidden = mode === 'now';
+      setTripTime(mode, input?.value);
+    });
+    document.getElementById('routeTimeInput')?.addEventListener('change', (e) => {
+      setTripTime(document.getElementById('routeTimeMode')?.value || 'now', e.target.value);
+    });
+
+    /* Safety vs. speed slider — re-plan once the thumb is released */
+    document.getElementById('routeSafetyWeight')?.addEventListener('change', (e) => {
+      setSafetyWeight(parseInt(e.target.value, 10));
+    });
+
+    /* Preference profiles for this trip */
+    document.getElementById('routePrefs')?.addEventListener('change', () => {
+      const ids = [...document.querySelectorAll('#routePrefs input:checked')].map(el => el.dataset.pref);
+      setTripPrefs(ids);
+    });
+
+    /* Stop list — reorder / remove */
+    document.getElementById('routeStops')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-stop-action]');
+      if (!btn) return;
+      const i = parseInt(btn.dataset.stopIdx, 10);
+      const action = btn.dataset.stopAction;
+      if (action === 'up') moveStop(i, -1);
+      else if (action === 'down') moveStop(i, 1);
+      else if (action === 'remove') removeStop(i);
+    });
+  }
+
+  /* ===== DEPARTURE TIME ===== */
+
+  /** Set the planned time window and re-score the current trip for it */
+  function setTripTime(mode, value) {
+    const parsed = value ? new Date(value) : null;
+    tripTime = (mode === 'now' || !parsed || isNaN(parsed))
+      ? { mode: 'now', time: null }
+      : { mode, time: parsed };
+    if (tripOrigin && tripDestination) fetchRoutes(tripOrigin, tripDestination);
+  }
+
+  /** Departure time for a walk of `durationSec` under the current trip time */
+  function _departureFor(durationSec) {
+    if (tripTime.mode === 'depart') return new Date(tripTime.time);
+    if (tripTime.mode === 'arrive') return new Date(tripTime.time.getTime() - durationSec * 1000);
+    return new Date();
+  }
+
+  /* Date → value for <input type="datetime-local"> in local time */
+  function _toLocalInputValue(d) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  }
+
+  function _resetTripTimeUI() {
+    tripTime = { mode: 'now', time: null };
+    const mode = document.getElementById('routeTimeMode');
+    const input = document.getElementById('routeTimeInput');
+    if (mode) mode.value = 'now';
+    if (input) { input.value = ''; input.hidden = true; }
+  }
+
+  /* ===== SAFETY VS. SPEED ===== */
+
+  /** Store the slider weight (0 fastest … 100 safest) and re-plan the current trip */
+  function setSafetyWeight(weight) {
+    GraphRouter.setConfig({ weight });
+    if (tripOrigin && tripDestination) fetchRoutes(tripOrigin, tripDestination);
+  }
+
+  /* The slider only steers safety routing, so it hides while that is off */
+  function _syncSafetyUI() {
+    const cfg = GraphRouter.getConfig();
+    const row = document.getElementById('routeSafety');
+    const slider = document.getElementById('routeSafetyWeight');
+    if (row) row.hidden = !cfg.enabled;
+    if (slider) slider.value = String(cfg.weight);
+  }
+
+  /* ===== PREFERENCE PROFILES ===== */
+
+  function _renderPrefChips() {
+    const box = document.getElementById('routePrefs');
+    if (!box) return;
+    box.innerHTML = RoutePreferences.PROFILES.map(p => `
+      <label class="route-pref"><input type="checkbox" data-pref="${p.id}"><span>${p.label}</span></label>`).join('');
+  }
+
+  /** Set this trip's preference profiles and re-plan it */
+  function setTripPrefs(ids) {
+    tripPrefs = ids;
+    if (tripOrigin && tripDestination) fetchRoutes(tripOrigin, tripDestination);
+  }
+
+  /* New trips start from the profiles switched on in Settings (e.g. wheelchair mode) */
+  function _resetTripPrefsUI() {
+    tripPrefs = RoutePreferences.getDefaults();
+    document.querySelectorAll('#routePrefs input').forEach(el => { el.checked = tripPrefs.includes(el.dataset.pref); });
+  }
+
+  /**
+   * Matcher for the trip's preferences on one leg, with the green spaces and
+   * railways they need, or null when none apply.  Missing base-map data —
+   * failed, or slower than CONTEXT_TIMEOUT_MS — only weakens the preferences.
+   */
+  async function _legPreferences(origin, destination, night) {
+    const ids = RoutePreferences.active(tripPrefs, night);
+    if (ids.length === 0) return null;
+    const bounds = L.latLngBounds(
+      [Math.min(origin.lat, destination.lat) - 0.01, Math.min(origin.lng, destination.lng) - 0.01],
+      [Math.max(origin.lat, destination.lat) + 0.01, Math.max(origin.lng, destination.lng) + 0.01]
+    );
+    const data = {};
+    await _withTimeout(CONTEXT_TIMEOUT_MS, signal => Promise.all(RoutePreferences.layersFor(ids).map(async layer => {
+      try {
+        data[layer] = await MapModule.getBaseFeatures(layer, bounds, signal);
+      } catch (e) {
+        console.warn(`[Routes] ${layer} fetch failed, preferences without it:`,
+          e.name === 'AbortError' ? 'timed out' : e.message);
+        data[layer] = [];
+      }
+    })));
+    return RoutePreferences.prepare(ids, { parks: data.green, railways: data.railways });
+  }
+
+  /* ===== MULTI-STOP TRIPS ===== */
+
+  /**
+   * Add an intermediate stop.  If a trip is already planned the routes are
+   * recalculated; otherwise the stop is used by the next fetchRoutes().
+   */
+  function addStop(stop) {
+    tripStops.push({ lat: stop.lat, lng: stop.lng, name: stop.name || `Stop ${tripStops.length + 1}` });
+    onStopsChanged();
+  }
+
+  function removeStop(i) {
+    if (i < 0 || i >= tripStops.length) return;
+    tripStops.splice(i, 1);
+    onStopsChanged();
+  }
+
+  function moveStop(i, dir) {
+    const j = i + dir;
+    if (i < 0 || j < 0 || i >= tripStops.length || j >= tripStops.length) return;
+    [tripStops[i], tripStops[j]] = [tripStops[j], tripStops[i]];
+    onStopsChanged();
+  }
+
+  function getStops() {
+    return tripStops.slice();
+  }
+
+  function onStopsChanged() {
+    renderStops();
+    drawStopMarkers();
+    if (tripOrigin && tripDestination) fetchRoutes(tripOrigin, tripDestination);
+  }
+
+  /* Ordered stop list at the top of #routePanel */
+  function renderStops() {
+    const el = document.getElementById('routeStops');
+    if (!el) return;
+    if (tripStops.length === 0) { el.innerHTML = ''; return; }
+    el.innerHTML = tripStops.map((stop, i) => `
+      <div class="route-stop">
+        <span class="route-stop__num">${i + 1}</span>
+        <span class="route-stop__name">${escapeHtml(stop.name)}</span>
+        <button class="route-stop__btn" data-stop-action="up" data-stop-idx="${i}" aria-label="Move stop up" ${i === 0 ? 'disabled' : ''}>
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="18 15 12 9 6 15"/></svg>
+        </button>
+        <button class="route-stop__btn" data-stop-action="down" data-stop-idx="${i}" aria-label="Move stop down" ${i === tripStops.length - 1 ? 'disabled' : ''}>
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="6 9 12 15 18 9"/></svg>
+        </button>
+        <button class="route-stop__btn" data-stop-action="remove" data-stop-idx="${i}" aria-label="Remove stop">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+        </button>
+      </div>
+    `).join('');
+  }
+
+  /* Numbered markers for each stop */
+  function drawStopMarkers() {
+    stopMarkers.forEach(m => m.remove());
+    stopMarkers = [];
+    const map = MapModule.getMap();
+    if (!map) return;
+    tripStops.forEach((stop, i) => {
+      const icon = L.divIcon({
+        className: 'stop-marker',
+        html: `<div style="
+          width:22px;height:22px;border-radius:50%;
+          display:flex;align-items:center;justify-content:center;
+          background:#FFD600;color:#0A0A14;
+          font-family:Inter,sans-serif;font-size:12px;font-weight:800;
+          border:2px solid #E8E8F0;box-shadow:0 0 12px rgba(255,214,0,0.45);
+        ">${i + 1}</div>`,
+        iconSize: [22, 22],
+        iconAnchor: [11, 11]
+      });
+      stopMarkers.push(L.marker([stop.lat, stop.lng], { icon, zIndexOffset: 850 }).addTo(map));
+    });
+  }
+
+  function escapeHtml(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
   }
 
   /* ===== AVOIDANCE WAYPOINT ALGORITHM (bearing-aware, iterative) ===== */
@@ -101,18 +330,28 @@ const RoutesModule = (() => {
    * inside or near any danger zone.  Returns an array of hits.
    * Uses a generous buffer so routes that pass *near* crime zones
    * (not just directly through) also trigger avoidance.
+   * The buffer shrinks as an incident ages, and zones that have decayed
+   * below DETOUR_MIN_RECENCY are not worth a detour at all.
    */
+  const DANGER_BUFFER_M = 250;
+  const DETOUR_MIN_RECENCY = 0.25;
+
   function findDangerIntersections(routeCoords, dangerZones) {
     const hits = [];     /* { lat, lng, severity, idx } */
     const step = Math.max(1, Math.floor(routeCoords.length / 250));
+    const live = dangerZones
+      .map(dz => ({ dz, lat: dz.lat, lng: dz.lng, weight: MapModule.recencyWeight(dz) }))
+      .filter(({ weight }) => weight >= DETOUR_MIN_RECENCY);
+    const index = ZoneIndex.fromZones(live);
+    const reachM = live.reduce((max, { dz }) => Math.max(max, dz.radius || 100), 0) + DANGER_BUFFER_M;
 
     for (let i = 0; i < routeCoords.length; i += step) {
       const [lat, lng] = routeCoords[i];
-      for (const dz of dangerZones) {
+      for (const { dz, weight } of index.near(lat, lng, reachM)) {
         const d = _quickDistMeters(lat, lng, dz.lat, dz.lng);
-        /* Detect within danger radius + 250 m buffer (catches "near-miss" routes) */
-        if (d < (dz.radius || 100) + 250) {
-          hits.push({ lat, lng, dzLat: dz.lat, dzLng: dz.lng, severity: dz.severity || 3, idx: i });
+        /* Detect within danger radius + buffer (catches "near-miss" routes) */
+        if (d < (dz.radius || 100) + DANGER_BUFFER_M * weight) {
+          hits.push({ lat, lng, dzLat: dz.lat, dzLng: dz.lng, severity: (dz.severity || 3) * weight, idx: i });
           break; /* one hit per sample point is enough */
         }
       }
@@ -229,44 +468,416 @@ const RoutesModule = (() => {
     return waypoints.slice(0, 9);
   }
 
-  /** Build an OSRM URL for foot routing.
-   *  When via-points are present we add `radiuses=` so OSRM snaps each
-   *  detour waypoint to the nearest actual road (up to 1 000 m).
-   *  Without this, off-road waypoints cause straight-line segments. */
-  function _osrmUrl(origin, destination, viaPoints) {
-    let coords = `${origin.lng},${origin.lat}`;
-    const via = viaPoints || [];
-    via.forEach(wp => { coords += `;${wp.lng},${wp.lat}`; });
-    coords += `;${destination.lng},${destination.lat}`;
+  /**
+   * At night, pull a detour waypoint onto the nearest lit street (lamp or
+   * lit=yes way within DETOUR_LIT_SNAP_M) — as long as that spot is not
+   * itself inside a danger zone's buffer.  Mutates `wp` in place.
+   */
+  const DETOUR_LIT_SNAP_M = 200;
+
+  function _preferLitWaypoint(wp, dangerZones) {
+    if (MapModule.lightingAt(wp.lat, wp.lng) === 'lit') return;
+    const lit = MapModule.nearestLitPoint(wp.lat, wp.lng, DETOUR_LIT_SNAP_M);
+    if (!lit) return;
+    if (findDangerIntersections([[lit.lat, lit.lng]], dangerZones).length > 0) return;
+    wp.lat = lit.lat;
+    wp.lng = lit.lng;
+  }
+
+  /* Whether any of a walk of `durationSec` from `departAt` falls after dark */
+  function _isNightWalk(origin, destination, departAt, durationSec) {
+    const walkStart = departAt || new Date();
+    const walkEnd = new Date(walkStart.getTime() + durationSec * 1000);
+    return MapModule.isDark(walkStart, origin.lat, origin.lng) ||
+           MapModule.isDark(walkEnd, destination.lat, destination.lng);
+  }
 
-    let url = `https://router.project-osrm.org/route/v1/foot/${coords}`
-            + `?overview=full&geometries=geojson&alternatives=true&steps=true`;
+  /* Optional ranking data (havens, lighting, base-map features) is given up on after this */
+  const CONTEXT_TIMEOUT_MS = 8000;
 
-    if (via.length > 0) {
-      /* radiuses: origin=unlimited, each via=1000m snap, destination=unlimited */
-      const radii = ['unlimited', ...via.map(() => '1000'), 'unlimited'].join(';');
-      url += `&radiuses=${radii}`;
+  /* `fn(signal)`, with the signal aborted after `ms` */
+  async function _withTimeout(ms, fn) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), ms);
+    try {
+      return await fn(controller.signal);
+    } finally {
+      clearTimeout(timer);
     }
-    return url;
   }
 
-  /** Fetch JSON from OSRM with a timeout */
-  async function _osrmFetch(url, timeoutMs) {
-    const ctrl = new AbortController();
-    const timer = setTimeout(() => ctrl.abort(), timeoutMs || 15000);
-    const resp = await fetch(url, { signal: ctrl.signal });
-    clearTimeout(timer);
-    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-    return resp.json();
+  /**
+   * Load safe havens — and, when any of the walk falls after dark, street
+   * lighting — around a leg's route so ranking can use them.  Failures and
+   * fetches slower than CONTEXT_TIMEOUT_MS (Overpass backing off) only cost
+   * ranking accuracy.  Returns whether the walk is at night.
+   */
+  async function _loadLegContext(coords, origin, destination, departAt, durationSec) {
+    const lats = coords.map(c => c[0]);
+    const lngs = coords.map(c => c[1]);
+    const corridor = L.latLngBounds(
+      [Math.min(...lats) - 0.005, Math.min(...lngs) - 0.005],
+      [Math.max(...lats) + 0.005, Math.max(...lngs) + 0.005]
+    );
+    const reason = e => e.name === 'AbortError' ? 'timed out' : e.message;
+    try {
+      await _withTimeout(CONTEXT_TIMEOUT_MS, signal => MapModule.loadHavensForBounds(corridor, signal));
+    } catch (e) {
+      console.warn('[Routes] Safe-haven fetch failed, ranking without it:', reason(e));
+    }
+
+    const night = _isNightWalk(origin, destination, departAt, durationSec);
+    if (night) {
+      try {
+        await _withTimeout(CONTEXT_TIMEOUT_MS, signal => MapModule.loadLightingForBounds(corridor, signal));
+      } catch (e) {
+        console.warn('[Routes] Lighting fetch failed, ranking without it:', reason(e));
+      }
+    }
+    return night;
+  }
+
+  const GRAPH_ROUTE_TIMEOUT_MS = 12000;
+
+  /**
+   * Plan one leg.  With safety routing on (Settings) and a short enough
+   * leg, danger is weighed directly on the walking network (graph-router.js)
+   * in place of the routing backend; otherwise — or when that fails or takes
+   * longer than GRAPH_ROUTE_TIMEOUT_MS — the router's direct route is bent
+   * around danger zones with via-points.  Returns the raw candidate routes,
+   * each merged into one leg and tagged with `_safety` (and `_offline` when
+   * the offline graph stood in for the router), best first — or [] when no
+   * walking route exists.  Network errors propagate.
+   * `departAt` is the approximate time the leg is walked, used for ranking.
+   * The trip's preference profiles shape graph routes and rank every candidate.
+   */
+  async function planLeg(origin, destination, departAt) {
+    /* Rough walking time (streets are ~30 % longer than the crow flies) to tell day from night */
+    const estimateSec = _quickDistMeters(origin.lat, origin.lng, destination.lat, destination.lng) * 1.3 / 1.4;
+    const prefs = await _legPreferences(origin, destination, _isNightWalk(origin, destination, departAt, estimateSec));
+
+    const safety = GraphRouter.getConfig();
+    if (safety.enabled && GraphRouter.covers(origin, destination)) {
+      /* A slow or rate-limited Overpass must not hold the plan hostage */
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), GRAPH_ROUTE_TIMEOUT_MS);
+      let graphData = null;
+      try {
+        graphData = await GraphRouter.route({ origin, destination, alternatives: true, prefs, signal: controller.signal });
+      } catch (e) {
+        console.warn('[Routes] Safety routing unavailable, using detours:',
+          e.name === 'AbortError' ? 'timed out' : e.message);
+      } finally {
+        clearTimeout(timer);
+      }
+      if (graphData?.routes.length > 0) {
+        const best = graphData.routes[0];
+        await _loadLegContext(best.geometry.coordinates.map(c => [c[1], c[0]]), origin, destination, departAt, best.duration);
+        return _rankLegCandidates(graphData.routes, departAt, false, prefs, true);
+      }
+    }
+    const candidates = await _planDetourLeg(origin, destination, departAt, prefs);
+    /* The router's routes carry no OSM tags, so barriers and rail crossings can't be checked (the offline graph's can) */
+    const unchecked = [
+      prefs?.ids.includes('step-free') && 'Step-free access not checked',
+      prefs?.ids.includes('avoid-underpasses') && 'Underpasses & rail crossings not checked'
+    ].filter(Boolean);
+    candidates.filter(c => !c._offline).forEach(c => c._prefs.notes.push(...unchecked));
+    return candidates;
   }
 
-  /* Fetch real routes from OSRM — **two-pass** avoidance routing */
+  /* Direct route → iterative via-point detours → dedupe, for one leg */
+  async function _planDetourLeg(origin, destination, departAt, prefs) {
+    /* ── PASS 1: fetch the direct route so we know where it actually goes ── */
+    console.log('[Routes] Pass 1 (direct) via', RoutingProviders.getConfig().provider);
+    const directData = await RoutingProviders.route(origin, destination, null, { prefs });
+
+    if (!directData.routes || directData.routes.length === 0) return [];
+
+    /* ── Collect all danger zones in a generous bounding box ── */
+    const allCoordsDirect = directData.routes[0].geometry.coordinates.map(c => [c[1], c[0]]);
+    const routeLats = allCoordsDirect.map(c => c[0]);
+    const routeLngs = allCoordsDirect.map(c => c[1]);
+    const routeBounds = L.latLngBounds(
+      [Math.min(...routeLats) - 0.018, Math.min(...routeLngs) - 0.018],
+      [Math.max(...routeLats) + 0.018, Math.max(...routeLngs) + 0.018]
+    );
+    const dangerZones = MapModule.getDangerZones(routeBounds);
+    console.log(`[Routes] ${dangerZones.length} danger zones in route corridor`);
+
+    /* ── Safe havens (and, after dark, street lighting) for the corridor ── */
+    const night = await _loadLegContext(allCoordsDirect, origin, destination, departAt, directData.routes[0].duration);
+
+    /* ═══ ITERATIVE DETOUR REFINEMENT ═══
+       Instead of a single pass-2, we loop up to MAX_ITERATIONS:
+       1. Find danger-zone intersections on the CURRENT best route
+       2. Build bearing-aware detour waypoints
+       3. Query the router with those waypoints
+       4. Check the NEW route for remaining intersections
+       5. If still hitting danger zones, repeat with the new geometry
+       This converges even on complex, non-grid road networks. */
+    const MAX_ITER = 3;
+    let bestRoute  = directData.routes[0];
+    let bestCoords = allCoordsDirect;
+    let iterWPs    = [];              /* accumulated waypoints across iterations */
+    let safeRoutes = [];              /* all safe-route alternatives found */
+
+    for (let iter = 0; iter < MAX_ITER; iter++) {
+      const hits = findDangerIntersections(bestCoords, dangerZones);
+      console.log(`[Routes] Iteration ${iter + 1}: ${hits.length} danger intersections`);
+      if (hits.length === 0) break;   /* route is clear — done */
+
+      const newWPs = buildDetourWaypoints(bestCoords, hits);
+      if (night) newWPs.forEach(wp => _preferLitWaypoint(wp, dangerZones));
+      /* Merge with waypoints from previous iterations (dedup by proximity) */
+      newWPs.forEach(wp => {
+        const dup = iterWPs.some(e => _quickDistMeters(e.lat, e.lng, wp.lat, wp.lng) < 120);
+        if (!dup) iterWPs.push(wp);
+      });
+      /* Sort merged WPs by rough route order (distance from origin) */
+      iterWPs.sort((a, b) =>
+        _quickDistMeters(origin.lat, origin.lng, a.lat, a.lng) -
+        _quickDistMeters(origin.lat, origin.lng, b.lat, b.lng)
+      );
+      /* Cap to 12 waypoints (OSRM practical limit) */
+      const cappedWPs = iterWPs.slice(0, 12);
+      console.log(`[Routes] Iteration ${iter + 1}: querying router with ${cappedWPs.length} waypoints`);
+
+      try {
+        const safeData = await RoutingProviders.route(origin, destination, cappedWPs, { timeoutMs: 12000, prefs });
+        if (safeData.routes && safeData.routes.length > 0) {
+          safeRoutes.push(...safeData.routes);
+          /* Use the first safe route as the basis for the next iteration */
+          bestRoute  = safeData.routes[0];
+          bestCoords = bestRoute.geometry.coordinates.map(c => [c[1], c[0]]);
+        } else {
+          break; /* router returned nothing — keep what we have */
+        }
+      } catch (e2) {
+        console.warn(`[Routes] Iteration ${iter + 1} avoidance query failed:`, e2.message);
+        break;
+      }
+    }
+
+    /* Merge safe routes with direct routes, deduplicate later */
+    const allRoutes = safeRoutes.length > 0
+      ? [...safeRoutes, ...directData.routes]
+      : directData.routes;
+
+    /* Deduplicate merged routes (same distance ± 50 m = likely same route) */
+    const dedupedRoutes = [];
+    const seenDist = new Set();
+    allRoutes.forEach(r => {
+      const key = Math.round(r.distance / 50);
+      if (!seenDist.has(key)) { seenDist.add(key); dedupedRoutes.push(r); }
+    });
+
+    return _rankLegCandidates(dedupedRoutes, departAt, !!directData.offline, prefs, !!directData.offline);
+  }
+
+  /*
+   * Score each candidate for a leg, best first, max 4.  Preference penalties
+   * (`prefs`, a RoutePreferences matcher) count against the safety score;
+   * `tagged` says the candidates were routed over OSM ways.
+   */
+  async function _rankLegCandidates(candidates, departAt, offline, prefs, tagged) {
+    const scored = await Promise.all(candidates.map(async r => {
+      const leg = _mergeViaLegs(r);
+      const coords = leg.geometry.coordinates.map(c => [c[1], c[0]]);
+      leg._offline = offline;
+      leg._prefs = prefs ? prefs.assess(coords, { tagged }) : { penalty: 0, notes: [] };
+      const barriers = leg.legs[0].steps.filter(step => step.warnings?.length).length;
+      if (barriers > 0) leg._prefs.notes.push(barriers === 1 ? '1 step-free barrier' : `${barriers} step-free barriers`);
+      leg._safety = await MapModule.scoreRouteSafetyAsync(coords, { departAt, durationSec: leg.duration });
+      return leg;
+    }));
+    return scored
+      .sort((a, b) => (b._safety - b._prefs.penalty) - (a._safety - a._prefs.penalty))
+      .slice(0, 4);
+  }
+
+  /**
+   * Detour via-points split a routed leg into several sub-legs, each with its
+   * own depart/arrive steps.  Collapse them into one leg so only the real
+   * start and end of the leg carry depart/arrive maneuvers.
+   */
+  function _mergeViaLegs(route) {
+    const legs = route.legs || [];
+    const steps = [];
+    legs.forEach((leg, li) => {
+      (leg.steps || []).forEach(step => {
+        const type = step.maneuver?.type;
+        if (type === 'arrive' && li < legs.length - 1) return;
+        if (type === 'depart' && li > 0) return;
+        steps.push(step);
+      });
+    });
+    return {
+      distance: route.distance,
+      duration: route.duration,
+      geometry: route.geometry,
+      legs: [{ distance: route.distance, duration: route.duration, steps }]
+    };
+  }
+
+  /**
+   * Chain one candidate per trip leg into a single route.  Intermediate
+   * arrive steps are tagged with the stop they reach.
+   */
+  function _chainLegs(legRoutes, stops) {
+    let coordinates = [];
+    const legs = legRoutes.map((r, li) => {
+      const cs = r.geometry.coordinates;
+      coordinates = coordinates.concat(coordinates.length ? cs.slice(1) : cs);
+      const steps = r.legs[0].steps.map(step => {
+        if (step.maneuver?.type === 'arrive' && li < stops.length) {
+          return { ...step, stopIdx: li, stopName: stops[li].name };
+        }
+        return step;
+      });
+      return { distance: r.distance, duration: r.duration, steps, geometry: r.geometry };
+    });
+    return {
+      distance: legRoutes.reduce((s, r) => s + r.distance, 0),
+      duration: legRoutes.reduce((s, r) => s + r.duration, 0),
+      geometry: { type: 'LineString', coordinates },
+      legs,
+      _prefs: {
+        penalty: legRoutes.reduce((s, r) => s + (r._prefs?.penalty || 0), 0),
+        notes: [...new Set(legRoutes.flatMap(r => r._prefs?.notes || []))]
+      }
+    };
+  }
+
+  /**
+   * Plan a whole trip: origin → each stop in order → destination.  Every leg
+   * runs its own avoidance pipeline; route option i uses each leg's i-th
+   * safest candidate.  Returns { raw, routes, offline } where `raw` are the
+   * combined OSRM-shaped routes and `routes` the processed, safety-sorted
+   * cards (route.idx indexes `raw`), or null when some leg has no walking
+   * route.  `offline` is set when any leg was routed on the offline graph.
+   */
+  async function planRoutes(origin, destination, stops) {
+    stops = stops || [];
+    const points = [origin, ...stops, destination];
+    /* Rough time window for ranking leg candidates; final scores use each route's own duration */
+    const rankingTime = _departureFor(0);
+
+    const legCandidates = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      const candidates = await planLeg(points[i], points[i + 1], rankingTime);
+      if (candidates.length === 0) return null;
+      legCandidates.push(candidates);
+    }
+
+    const optionCount = Math.max(...legCandidates.map(c => c.length));
+    const combined = [];
+    const seenDist = new Set();
+    for (let k = 0; k < optionCount; k++) {
+      const route = _chainLegs(legCandidates.map(c => c[Math.min(k, c.length - 1)]), stops);
+      const key = Math.round(route.distance / 50);
+      if (!seenDist.has(key)) { seenDist.add(key); combined.push(route); }
+    }
+    const cappedRoutes = combined.slice(0, 4);
+    console.log('[Routes] ✅', cappedRoutes.length, 'routes across', legCandidates.length, 'leg(s)');
+
+    /* Process routes — score safety using crime data proximity */
+    const routes = await Promise.all(cappedRoutes.map(async (route, i) => {
+      const durationMin = Math.round(route.duration / 60);
+      const distanceMi = (route.distance / 1609.34).toFixed(1);
+
+      /* Extract coordinates from GeoJSON */
+      const coords = route.geometry.coordinates.map(c => [c[1], c[0]]);
+
+      /* Real safety score based on crime hotspot proximity along route,
+         broken down per segment for the coloured line + risk list, and
+         weighted towards incidents at the hour / weekday of the walk */
+      const departAt = _departureFor(route.duration);
+      const analysis = await MapModule.analyzeRouteSafetyAsync(coords, { departAt, durationSec: route.duration });
+      const safetyScore = analysis.score;
+
+      /* Per-leg scores, each for the time that leg is reached */
+      let legStart = departAt.getTime();
+      const legs = await Promise.all(route.legs.map(leg => {
+        const legCoords = leg.geometry.coordinates.map(c => [c[1], c[0]]);
+        const legDepart = new Date(legStart);
+        legStart += leg.duration * 1000;
+        return MapModule.scoreRouteSafetyAsync(legCoords, { departAt: legDepart, durationSec: leg.duration })
+          .then(score => ({ time: formatDuration(leg.duration), safetyScore: score }));
+      }));
+
+      /* Determine route labels based on actual safety score */
+      let safetyClass;
+      if (safetyScore >= 75) safetyClass = 'high';
+      else if (safetyScore >= 55) safetyClass = 'medium';
+      else safetyClass = 'low';
+
+      /* Build route name from street names in steps */
+      const streetNames = extractStreetNames(route);
+      const routeName = streetNames.length > 0
+        ? streetNames.slice(0, 3).join(' → ')
+        : `Route ${i + 1}`;
+
+      const colors = ['#6C63FF', '#8B83FF', '#A59BFF', '#FFD600'];
+
+      return {
+        idx: i,
+        name: routeName,
+        badge: '',       /* assigned after sorting */
+        badgeClass: '',
+        safetyScore,
+        safetyClass,
+        time: formatDuration(route.duration),
+        distance: `${distanceMi} mi`,
+        durationSec: route.duration,
+        recommended: false,
+        color: colors[i % colors.length],
+        coords,
+        segments: analysis.segments,
+        legs: legs.length > 1 ? legs : [],
+        prefPenalty: route._prefs.penalty,
+        prefNotes: route._prefs.notes,
+        departLabel: tripTime.mode === 'now' ? '' : `Leave ${departAt.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`
+      };
+    }));
+
+    /* Sort by safety score (highest first), less any preference penalty */
+    routes.sort((a, b) => (b.safetyScore - b.prefPenalty) - (a.safetyScore - a.prefPenalty));
+    const preferenceRanked = routes.some(r => r.prefPenalty > 0);
+
+    /* Assign badges after sorting — safest first, then fastest, then alternatives */
+    const fastestIdx = routes.reduce((min, c) => c.durationSec < min.durationSec ? c : min, routes[0]).idx;
+    routes.forEach((r, i) => {
+      if (i === 0) {
+        r.badge = preferenceRanked ? 'Best match' : 'Safest';
+        r.badgeClass = 'safe';
+        r.recommended = true;
+      } else if (r.idx === fastestIdx && fastestIdx !== routes[0].idx) {
+        r.badge = 'Fastest';
+        r.badgeClass = 'fast';
+      } else {
+        r.badge = r.safetyScore >= 55 ? 'Alternative' : 'Avoid';
+        r.badgeClass = r.safetyScore >= 55 ? 'caution' : 'danger';
+      }
+    });
+
+    return { raw: cappedRoutes, routes, offline: legCandidates.some(c => c[0]._offline) };
+  }
+
+  /* Fetch real routes from the configured router — **two-pass** avoidance routing */
   async function fetchRoutes(origin, destination) {
     const container = document.getElementById('routeOptions');
     if (!container) return;
 
+    /* The slider, preference chips and stop edits re-plan while a plan may be in flight */
+    const generation = ++planGeneration;
+    tripOrigin = origin;
+    tripDestination = destination;
+
     /* Show loading state in panel */
     showPanel();
+    renderStops();
+    drawStopMarkers();
     container.innerHTML = `
       <div class="route-card route-card--loading">
         <div class="route-card__info" style="text-align:center;width:100%;">
@@ -277,12 +888,10 @@ const RoutesModule = (() => {
     `;
 
     try {
-      /* ── PASS 1: fetch the direct route so we know where it actually goes ── */
-      const directUrl = _osrmUrl(origin, destination);
-      console.log('[Routes] Pass 1 (direct):', directUrl);
-      const directData = await _osrmFetch(directUrl);
+      const plan = await planRoutes(origin, destination, tripStops);
+      if (generation !== planGeneration) return;
 
-      if (!directData.routes || directData.routes.length === 0) {
+      if (!plan || plan.routes.length === 0) {
         container.innerHTML = `
           <div class="route-card">
             <div class="route-card__info" style="text-align:center;width:100%;">
@@ -294,164 +903,12 @@ const RoutesModule = (() => {
         return;
       }
 
-      /* ── Collect all danger zones in a generous bounding box ── */
-      const allCoordsDirect = directData.routes[0].geometry.coordinates.map(c => [c[1], c[0]]);
-      const routeLats = allCoordsDirect.map(c => c[0]);
-      const routeLngs = allCoordsDirect.map(c => c[1]);
-      const routeBounds = L.latLngBounds(
-        [Math.min(...routeLats) - 0.018, Math.min(...routeLngs) - 0.018],
-        [Math.max(...routeLats) + 0.018, Math.max(...routeLngs) + 0.018]
-      );
-      const dangerZones = MapModule.getDangerZones(routeBounds);
-      console.log(`[Routes] ${dangerZones.length} danger zones in route corridor`);
-
-      /* ═══ ITERATIVE DETOUR REFINEMENT ═══
-         Instead of a single pass-2, we loop up to MAX_ITERATIONS:
-         1. Find danger-zone intersections on the CURRENT best route
-         2. Build bearing-aware detour waypoints
-         3. Query OSRM with those waypoints
-         4. Check the NEW route for remaining intersections
-         5. If still hitting danger zones, repeat with the new geometry
-         This converges even on complex, non-grid road networks. */
-      const MAX_ITER = 3;
-      let bestRoute  = directData.routes[0];
-      let bestCoords = allCoordsDirect;
-      let iterWPs    = [];              /* accumulated waypoints across iterations */
-      let safeRoutes = [];              /* all safe-route alternatives found */
-
-      for (let iter = 0; iter < MAX_ITER; iter++) {
-        const hits = findDangerIntersections(bestCoords, dangerZones);
-        console.log(`[Routes] Iteration ${iter + 1}: ${hits.length} danger intersections`);
-        if (hits.length === 0) break;   /* route is clear — done */
-
-        const newWPs = buildDetourWaypoints(bestCoords, hits);
-        /* Merge with waypoints from previous iterations (dedup by proximity) */
-        newWPs.forEach(wp => {
-          const dup = iterWPs.some(e => _quickDistMeters(e.lat, e.lng, wp.lat, wp.lng) < 120);
-          if (!dup) iterWPs.push(wp);
-        });
-        /* Sort merged WPs by rough route order (distance from origin) */
-        iterWPs.sort((a, b) =>
-          _quickDistMeters(origin.lat, origin.lng, a.lat, a.lng) -
-          _quickDistMeters(origin.lat, origin.lng, b.lat, b.lng)
-        );
-        /* Cap to 12 waypoints (OSRM practical limit) */
-        const cappedWPs = iterWPs.slice(0, 12);
-        console.log(`[Routes] Iteration ${iter + 1}: querying OSRM with ${cappedWPs.length} waypoints`);
-
-        try {
-          const safeUrl  = _osrmUrl(origin, destination, cappedWPs);
-          const safeData = await _osrmFetch(safeUrl, 12000);
-          if (safeData.routes && safeData.routes.length > 0) {
-            safeRoutes.push(...safeData.routes);
-            /* Use the first safe route as the basis for the next iteration */
-            bestRoute  = safeData.routes[0];
-            bestCoords = bestRoute.geometry.coordinates.map(c => [c[1], c[0]]);
-          } else {
-            break; /* OSRM returned nothing — keep what we have */
-          }
-        } catch (e2) {
-          console.warn(`[Routes] Iteration ${iter + 1} avoidance query failed:`, e2.message);
-          break;
-        }
-      }
-
-      /* Merge safe routes with direct routes, deduplicate later */
-      let finalData;
-      if (safeRoutes.length > 0) {
-        finalData = { routes: [...safeRoutes, ...directData.routes] };
-      } else {
-        finalData = directData;
-      }
-
-      const data = finalData;
-
-      if (!data.routes || data.routes.length === 0) {
-        container.innerHTML = `
-          <div class="route-card">
-            <div class="route-card__info" style="text-align:center;width:100%;">
-              <div class="route-card__name" style="color:var(--red)">No walking route found</div>
-              <div class="route-card__meta">Try a closer destination</div>
-            </div>
-          </div>
-        `;
-        return;
+      rawOsrmRoutes = plan.raw;
+      currentRoutes = plan.routes;
+      if (plan.offline && typeof App !== 'undefined' && App.showToast) {
+        App.showToast('No connection — route planned on your offline map');
       }
 
-      /* Process routes — score safety using crime data proximity */
-      /* Deduplicate merged routes (same distance ± 50 m = likely same route) */
-      const dedupedRoutes = [];
-      const seenDist = new Set();
-      data.routes.forEach(r => {
-        const key = Math.round(r.distance / 50);
-        if (!seenDist.has(key)) { seenDist.add(key); dedupedRoutes.push(r); }
-      });
-      /* Cap at 4 routes max for readability */
-      const cappedRoutes = dedupedRoutes.slice(0, 4);
-
-      rawOsrmRoutes = cappedRoutes;
-      console.log('[Routes] ✅ Stored', rawOsrmRoutes.length, 'raw OSRM routes (deduped from', data.routes.length, ')');
-      currentRoutes = cappedRoutes.map((route, i) => {
-        const durationMin = Math.round(route.duration / 60);
-        const distanceKm = (route.distance / 1000).toFixed(1);
-        const distanceMi = (route.distance / 1609.34).toFixed(1);
-
-        /* Extract coordinates from GeoJSON */
-        const coords = route.geometry.coordinates.map(c => [c[1], c[0]]);
-
-        /* Real safety score based on crime hotspot proximity along route */
-        const safetyScore = MapModule.scoreRouteSafety(coords);
-
-        /* Determine route labels based on actual safety score */
-        let badgeClass, safetyClass;
-
-        if (safetyScore >= 75) safetyClass = 'high';
-        else if (safetyScore >= 55) safetyClass = 'medium';
-        else safetyClass = 'low';
-
-        /* Build route name from street names in steps */
-        const streetNames = extractStreetNames(route);
-        const routeName = streetNames.length > 0
-          ? streetNames.slice(0, 3).join(' → ')
-          : `Route ${i + 1}`;
-
-        const colors = ['#6C63FF', '#8B83FF', '#A59BFF', '#FFD600'];
-
-        return {
-          idx: i,
-          name: routeName,
-          badge: '',       /* assigned after sorting */
-          badgeClass: '',
-          safetyScore,
-          safetyClass,
-          time: durationMin < 60 ? `${durationMin} min` : `${Math.floor(durationMin / 60)}h ${durationMin % 60}m`,
-          distance: `${distanceMi} mi`,
-          durationSec: route.duration,
-          recommended: false,
-          color: colors[i % colors.length],
-          coords
-        };
-      });
-
-      /* Sort by safety score (highest first) */
-      currentRoutes.sort((a, b) => b.safetyScore - a.safetyScore);
-
-      /* Assign badges after sorting — safest first, then fastest, then alternatives */
-      const fastestIdx = currentRoutes.reduce((min, c) => c.durationSec < min.durationSec ? c : min, currentRoutes[0]).idx;
-      currentRoutes.forEach((r, i) => {
-        if (i === 0) {
-          r.badge = 'Safest';
-          r.badgeClass = 'safe';
-          r.recommended = true;
-        } else if (r.idx === fastestIdx && fastestIdx !== currentRoutes[0].idx) {
-          r.badge = 'Fastest';
-          r.badgeClass = 'fast';
-        } else {
-          r.badge = r.safetyScore >= 55 ? 'Alternative' : 'Avoid';
-          r.badgeClass = r.safetyScore >= 55 ? 'caution' : 'danger';
-        }
-      });
-
       /* Render route cards */
       renderRouteCards(container);
 
@@ -466,7 +923,8 @@ const RoutesModule = (() => {
       if (recommended) previewRoute(recommended.idx);
 
     } catch (err) {
-      console.error('[Routes] OSRM error:', err.name, err.message);
+      if (generation !== planGeneration) return;
+      console.error('[Routes] Routing error:', err.name, err.message);
 
       let errorMsg = 'Route calculation failed';
       let errorHint = 'Check your connection and try again';
@@ -476,10 +934,13 @@ const RoutesModule = (() => {
         errorHint = 'The routing server is slow — tap "Get the Route" again';
       } else if (err.message.includes('Failed to fetch') || err.message.includes('NetworkError')) {
         errorMsg = 'Network error';
-        errorHint = 'Check your internet connection';
+        errorHint = 'Check your internet connection, or save this area in Offline Maps';
       } else if (err.message.includes('HTTP')) {
         errorMsg = 'Routing server error';
         errorHint = err.message;
+      } else if (err.message.includes('stop is outside the offline map area')) {
+        errorMsg = 'A stop is off your offline map';
+        errorHint = 'Remove that stop, or save a larger area in Offline Maps';
       }
 
       container.innerHTML = `
@@ -522,7 +983,11 @@ const RoutesModule = (() => {
         <div class="route-card__info">
           <span class="route-card__badge route-card__badge--${route.badgeClass}">${route.badge}</span>
           <div class="route-card__name">${route.name}</div>
-          <div class="route-card__meta">${route.time} · ${route.distance}</div>
+          <div class="route-card__meta">${route.time} · ${route.distance}${route.departLabel ? ` · ${route.departLabel}` : ''}</div>
+          ${route.prefNotes.length > 0 ? `<div class="route-card__notes">${route.prefNotes.join(' · ')}</div>` : ''}
+          ${route.legs.length > 0 ? `<div class="route-card__legs">${route.legs.map((leg, li) => `
+            <span class="route-card__leg">Leg ${li + 1}: ${leg.time} · <span class="route-card__leg-score route-card__leg-score--${leg.safetyScore >= 75 ? 'high' : leg.safetyScore >= 55 ? 'medium' : 'low'}">${leg.safetyScore}</span></span>`).join('')}
+          </div>` : ''}
         </div>
         <svg class="route-card__arrow" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
           <polyline points="9 18 15 12 9 6"/>
@@ -545,6 +1010,7 @@ const RoutesModule = (() => {
     const startBtn = document.getElementById('routeStartNav');
     if (startBtn) startBtn.classList.remove('visible');
     selectedRouteIdx = null;
+    _syncSafetyUI();
     /* Let the map recalculate its size */
     try { MapModule.getMap()?.invalidateSize(); } catch(e) {}
   }
@@ -578,30 +1044,56 @@ const RoutesModule = (() => {
     routeLines = [];
   }
 
-  function drawAllRoutes() {
+  function drawAllRoutes(fit = true) {
     clearRouteLines();
     const map = MapModule.getMap();
 
-    currentRoutes.forEach((route, i) => {
-      const line = L.polyline(route.coords, {
-        color: route.color,
+    currentRoutes.forEach(route => {
+      const style = {
         weight: route.recommended ? 5 : 4,
         opacity: route.recommended ? 0.85 : 0.35,
         dashArray: route.recommended ? null : '8, 6',
         lineCap: 'round',
         lineJoin: 'round'
-      }).addTo(map);
+      };
+
+      /* One polyline per run of equal-risk segments, grouped so the
+         whole route can still be restyled / removed as a unit */
+      const runs = riskRuns(route);
+      const line = runs.length > 0
+        ? L.featureGroup(runs.map(run => L.polyline(run.coords, { ...style, color: RISK_COLORS[run.risk] })))
+        : L.featureGroup([L.polyline(route.coords, { ...style, color: route.color })]);
+      line.addTo(map);
 
       routeLines.push({ idx: route.idx, line });
     });
 
     /* Fit bounds to show all routes */
     const allCoords = currentRoutes.flatMap(r => r.coords);
-    if (allCoords.length > 0) {
+    if (fit && allCoords.length > 0) {
       map.fitBounds(L.latLngBounds(allCoords).pad(0.15), { duration: 0.8 });
     }
   }
 
+  const RISK_COLORS = { low: '#00E676', medium: '#FFD600', high: '#FF3D71' };
+
+  /* Merge consecutive segments of the same risk class into coordinate runs */
+  function riskRuns(route) {
+    const runs = [];
+    (route.segments || []).forEach(seg => {
+      const pts = route.coords.slice(seg.from, seg.to + 1);
+      if (pts.length === 0) return;
+      const last = runs[runs.length - 1];
+      if (last && last.risk === seg.risk) {
+        last.coords.push(...pts.slice(1));
+      } else {
+        /* Start each run at the previous run's end so the line has no gaps */
+        runs.push({ risk: seg.risk, coords: last ? [last.coords[last.coords.length - 1], ...pts.slice(1)] : pts });
+      }
+    });
+    return runs.filter(r => r.coords.length >= 2);
+  }
+
   /* --- Preview route (highlight on map + card) without entering navigation --- */
   function previewRoute(routeIdx) {
     selectedRouteIdx = routeIdx;
@@ -698,16 +1190,8 @@ const RoutesModule = (() => {
       (leg.steps || []).forEach(step => steps.push(step));
     });
 
-    /* Set first step as hero */
-    if (steps.length > 0) {
-      const first = steps[0];
-      const heroIcon = document.getElementById('dirHeroIcon');
-      const heroInstr = document.getElementById('dirHeroInstruction');
-      const heroDist = document.getElementById('dirHeroDist');
-      if (heroIcon) heroIcon.innerHTML = maneuverSVG(first.maneuver);
-      if (heroInstr) heroInstr.textContent = stepInstruction(first);
-      if (heroDist) heroDist.textContent = formatDist(first.distance);
-    }
+    /* Set first step as hero (live guidance takes over on the next fix) */
+    if (steps.length > 0) setHero(steps[0], formatDist(steps[0].distance));
 
     /* Build full step list */
     const stepsContainer = document.getElementById('dirSteps');
@@ -724,7 +1208,7 @@ const RoutesModule = (() => {
       const streetName = step.name || '';
 
       return `
-        <div class="dir-step">
+        <div class="dir-step" data-step-idx="${i}">
           <div class="dir-step__icon${iconClass}">${maneuverSVG(step.maneuver)}</div>
           <div class="dir-step__body">
             <div class="dir-step__instruction">${instruction}</div>
@@ -732,6 +1216,7 @@ const RoutesModule = (() => {
               ${dist ? `<span class="dir-step__dist">${dist}</span>` : ''}
               ${streetName && !instruction.includes(streetName) ? `<span class="dir-step__street">${streetName}</span>` : ''}
             </div>
+            ${step.warnings?.length ? `<div class="dir-step__warning">No step-free alternative: ${step.warnings.join(', ')}</div>` : ''}
           </div>
         </div>
       `;
@@ -747,6 +1232,12 @@ const RoutesModule = (() => {
       }
     });
 
+    /* Riskiest stretches + the danger zones behind them */
+    renderRiskStretches(route, steps);
+
+    /* Track progress along this route as the user walks */
+    startGuidance(raw, route.coords, steps);
+
     /* Hide route panel, show directions page */
     const rp = document.getElementById('routePanel');
     if (rp) { rp.style.transform = ''; rp.style.transition = ''; rp.classList.remove('active'); }
@@ -763,6 +1254,404 @@ const RoutesModule = (() => {
     }
   }
 
+  /* ===== RISKIEST STRETCHES ===== */
+
+  /**
+   * Group consecutive medium/high-risk segments into stretches, attach the
+   * step + street each one starts on, and list the worst few in #dirRisks.
+   */
+  function renderRiskStretches(route, steps) {
+    const el = document.getElementById('dirRisks');
+    if (!el) return;
+
+    const stepIdxAt = _stepVertexIndices(route.coords, steps);
+    const stepForVertex = v => {
+      let s = 0;
+      for (let i = 0; i < stepIdxAt.length; i++) if (stepIdxAt[i] <= v) s = i;
+      return s;
+    };
+
+    const stretches = [];
+    let cur = null;
+    (route.segments || []).forEach(seg => {
+      if (seg.risk === 'low') { cur = null; return; }
+      if (!cur) {
+        cur = { from: seg.from, to: seg.to, danger: 0, risk: seg.risk, zones: new Map() };
+        stretches.push(cur);
+      }
+      cur.to = seg.to;
+      cur.danger += seg.danger;
+      if (seg.risk === 'high') cur.risk = 'high';
+      seg.zones.forEach(({ zone, contribution }) => {
+        const k = zone.key || `${zone.lat}_${zone.lng}`;
+        const prev = cur.zones.get(k);
+        cur.zones.set(k, { zone, contribution: (prev ? prev.contribution : 0) + contribution });
+      });
+    });
+
+    const worst = stretches.sort((a, b) => b.danger - a.danger).slice(0, 3);
+    if (worst.length === 0) {
+      el.innerHTML = '';
+      el.style.display = 'none';
+      return;
+    }
+
+    el.style.display = '';
+    el.innerHTML = `<div class="dir-risks__title">Riskiest stretches</div>` + worst.map((st, i) => {
+      const sIdx = stepForVertex(st.from);
+      const street = steps[sIdx]?.name || 'Unnamed path';
+      const cum = _cumulativeDist(route.coords.slice(st.from, st.to + 1));
+      const len = formatDist(cum[cum.length - 1]) || 'Short stretch';
+      const zones = [...st.zones.values()]
+        .sort((a, b) => b.contribution - a.contribution)
+        .slice(0, 3)
+        .map(({ zone }) => `<span class="dir-risk__zone">${escapeHtml(zone.label || 'Reported incident')} ${'●'.repeat(Math.round(zone.severity))}${'○'.repeat(Math.max(0, 5 - Math.round(zone.severity)))}</span>`)
+        .join('');
+      return `
+        <div class="dir-risk dir-risk--${st.risk}" data-risk-idx="${i}">
+          <div class="dir-risk__head">
+            <span class="dir-risk__street">${escapeHtml(street)}</span>
+            <span class="dir-risk__meta">Step ${sIdx + 1} · ${len}</span>
+          </div>
+          <div class="dir-risk__zones">${zones}</div>
+        </div>
+      `;
+    }).join('');
+
+    /* Tap a stretch to see it on the map */
+    el.querySelectorAll('.dir-risk').forEach(card => {
+      card.addEventListener('click', () => {
+        const st = worst[parseInt(card.dataset.riskIdx, 10)];
+        showMapWithRoute();
+        MapModule.getMap().fitBounds(L.latLngBounds(route.coords.slice(st.from, st.to + 1)).pad(0.5), { duration: 0.6 });
+      });
+    });
+  }
+
+  /* ===== LIVE TURN-BY-TURN GUIDANCE ===== */
+
+  const ARRIVE_RADIUS_M = 20;     /* within this of the destination = arrived */
+  const STEP_LOOKAHEAD_M = 5;     /* treat a maneuver as passed slightly early */
+  const OFF_ROUTE_M = 40;         /* further than this from the line = off route */
+  const OFF_ROUTE_FIXES = 3;      /* consecutive off-route fixes before rerouting */
+
+  /**
+   * Snap a position onto a polyline.  Works in a local metric frame around
+   * the point, which is accurate enough at walking scales.
+   * @returns {{ dist, along, segIdx, lat, lng }} — `dist` is metres off the
+   *   line, `along` metres from the start of the line to the snapped point.
+   */
+  function _snapToPolyline(coords, cumDist, lat, lng) {
+    const kx = 111320 * Math.cos(lat * Math.PI / 180);
+    const ky = 110540;
+    let best = { dist: Infinity, along: 0, segIdx: 0, lat, lng };
+
+    for (let i = 0; i < coords.length - 1; i++) {
+      const ax = (coords[i][1] - lng) * kx,     ay = (coords[i][0] - lat) * ky;
+      const bx = (coords[i + 1][1] - lng) * kx, by = (coords[i + 1][0] - lat) * ky;
+      const dx = bx - ax, dy = by - ay;
+      const len2 = dx * dx + dy * dy;
+      const t = len2 > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+      const d = Math.hypot(ax + t * dx, ay + t * dy);
+      if (d < best.dist) {
+        best = {
+          dist: d,
+          along: cumDist[i] + t * (cumDist[i + 1] - cumDist[i]),
+          segIdx: i,
+          lat: coords[i][0] + t * (coords[i + 1][0] - coords[i][0]),
+          lng: coords[i][1] + t * (coords[i + 1][1] - coords[i][1])
+        };
+      }
+    }
+    return best;
+  }
+
+  /** Cumulative distance (metres) at every vertex of a polyline */
+  function _cumulativeDist(coords) {
+    const cum = [0];
+    for (let i = 1; i < coords.length; i++) {
+      cum.push(cum[i - 1] + _quickDistMeters(coords[i - 1][0], coords[i - 1][1], coords[i][0], coords[i][1]));
+    }
+    return cum;
+  }
+
+  /**
+   * Index of the route vertex closest to each step's maneuver point,
+   * searched in order so repeated locations resolve to the right visit.
+   */
+  function _stepVertexIndices(coords, steps) {
+    let from = 0;
+    return steps.map(step => {
+      const loc = step.maneuver?.location;   /* [lng, lat] */
+      if (!loc) return from;
+      let bestIdx = from, bestD = Infinity;
+      for (let i = from; i < coords.length; i++) {
+        const d = _quickDistMeters(coords[i][0], coords[i][1], loc[1], loc[0]);
+        if (d < bestD) { bestD = d; bestIdx = i; }
+      }
+      from = bestIdx;
+      return bestIdx;
+    });
+  }
+
+  /**
+   * Build guidance state for a route: where along the polyline each OSRM
+   * step's maneuver sits, so a snapped position maps to an upcoming step.
+   */
+  function startGuidance(raw, coords, steps) {
+    stopGuidance();
+    if (!coords || coords.length < 2 || steps.length === 0) return;
+
+    const cumDist = _cumulativeDist(coords);
+    const stepStarts = _stepVertexIndices(coords, steps).map(i => cumDist[i]);
+
+    guidance = {
+      coords, cumDist, steps, stepStarts,
+      total: cumDist[cumDist.length - 1],
+      duration: raw.duration,
+      distance: raw.distance,
+      stepIdx: 0,
+      arrived: false,
+      lastSnap: null,
+      offRouteCount: 0
+    };
+
+    stopPositionWatch = MapModule.onPositionChange(updateGuidance);
+    /* Without a GPS fix yet (IP lookup or the default centre), wait for the first one */
+    updateGuidance(MapModule.getUserFix());
+  }
+
+  function stopGuidance() {
+    if (stopPositionWatch) { stopPositionWatch(); stopPositionWatch = null; }
+    guidance = null;
+  }
+
+  /** Called on every location fix while navigating */
+  function updateGuidance(pos) {
+    if (!guidance || guidance.arrived || !pos) return;
+    const { coords, cumDist, steps, stepStarts, total } = guidance;
+
+    const snap = _snapToPolyline(coords, cumDist, pos.lat, pos.lng);
+    guidance.lastSnap = snap;
+
+    /* Off-route detection — ignore single noisy fixes, reroute on a streak */
+    if (snap.dist > OFF_ROUTE_M) {
+      guidance.offRouteCount++;
+      console.log(`[Routes] Off route by ${Math.round(snap.dist)} m (${guidance.offRouteCount}/${OFF_ROUTE_FIXES})`);
+      if (guidance.offRouteCount >= OFF_ROUTE_FIXES) rerouteFrom(pos);
+      return;
+    }
+    guidance.offRouteCount = 0;
+
+    /* Current step = last maneuver we have passed; never step backwards */
+    let idx = guidance.stepIdx;
+    for (let i = idx; i < stepStarts.length; i++) {
+      if (stepStarts[i] <= snap.along + STEP_LOOKAHEAD_M) idx = i;
+    }
+    guidance.stepIdx = idx;
+
+    const nextIdx = Math.min(idx + 1, steps.length - 1);
+    const next = steps[nextIdx];
+    const toManeuver = Math.max(0, stepStarts[nextIdx] - snap.along);
+    const remaining = Math.max(0, total - snap.along);
+
+    /* Only the final arrive step ends the trip — stop arrivals just advance */
+    const arrivingStep = nextIdx === steps.length - 1;
+    if ((arrivingStep && toManeuver < ARRIVE_RADIUS_M) || remaining < ARRIVE_RADIUS_M) {
+      showArrival();
+      return;
+    }
+
+    setHero(next, formatDist(toManeuver) || 'Now');
+    markSteps(idx, nextIdx);
+    updateRemaining(remaining);
+  }
+
+  /**
+   * Re-run the avoidance pipeline from the current position to the same
+   * destination and switch navigation to the new recommended route.
+   */
+  async function rerouteFrom(pos) {
+    if (rerouting || !tripDestination) return;
+    rerouting = true;
+    const session = guidance;
+
+    const heroInstr = document.getElementById('dirHeroInstruction');
+    const heroDist = document.getElementById('dirHeroDist');
+    if (heroInstr) heroInstr.textContent = 'Off route — finding a safe way back…';
+    if (heroDist) heroDist.textContent = '';
+
+    try {
+      /* Keep only the stops we have not reached yet */
+      const reached = new Set(session.steps
+        .filter((step, i) => step.stopIdx !== undefined && i <= session.stepIdx)
+        .map(step => step.stopIdx));
+      const stops = tripStops.filter((_, i) => !reached.has(i));
+      const origin = { lat: pos.lat, lng: pos.lng };
+
+      const plan = await planRoutes(origin, tripDestination, stops);
+      /* Navigation ended (or restarted) while we were waiting */
+      if (guidance !== session) return;
+      if (!plan || plan.routes.length === 0) {
+        session.offRouteCount = 0;
+        return;
+      }
+
+      /* Only a usable plan replaces the trip; otherwise the old stops stay as they were */
+      tripStops = stops;
+      tripOrigin = origin;
+      renderStops();
+      drawStopMarkers();
+      rawOsrmRoutes = plan.raw;
+      currentRoutes = plan.routes;
+      drawAllRoutes(false);
+
+      const recommended = currentRoutes.find(r => r.recommended) || currentRoutes[0];
+      startNavigation(recommended.idx);
+      announce(`Rerouted via ${recommended.name}. Safety score ${recommended.safetyScore}.`);
+    } catch (err) {
+      console.warn('[Routes] Reroute failed:', err.message);
+      /* Try again after another streak of off-route fixes */
+      if (guidance === session) session.offRouteCount = 0;
+    } finally {
+      rerouting = false;
+    }
+  }
+
+  /**
+   * "Nearest safe place": abandon the current trip and walk to the closest
+   * safe haven that is open now (police, hospital, open shop…).
+   */
+  const HAVEN_SEARCH_M = 1500;
+
+  async function routeToNearestHaven() {
+    if (rerouting) return;
+    const pos = MapModule.getUserFix();
+    if (!pos) {
+      announce('No GPS fix yet. Step outside or wait a moment, then try again.');
+      return;
+    }
+    rerouting = true;
+    const btn = document.getElementById('directionsHaven');
+    if (btn) btn.disabled = true;
+
+    /* Claims the plan slot like fetchRoutes(), so Clear or a new search cancels us */
+    const generation = ++planGeneration;
+
+    try {
+      const pad = HAVEN_SEARCH_M / 111320;
+      try {
+        await MapModule.loadHavensForBounds(L.latLngBounds(
+          [pos.lat - pad, pos.lng - pad], [pos.lat + pad, pos.lng + pad]
+        ));
+      } catch (e) {
+        console.warn('[Routes] Safe-haven fetch failed:', e.message);
+      }
+      if (generation !== planGeneration) return;
+
+      const haven = MapModule.nearestHaven(pos.lat, pos.lng, new Date(), HAVEN_SEARCH_M);
+      if (!haven) {
+        announce('No open safe place found nearby. Use SOS if you need help.');
+        return;
+      }
+
+      const name = haven.name || haven.label;
+      stopGuidance();
+      const session = guidance;
+      tripStops = [];
+      tripOrigin = { lat: pos.lat, lng: pos.lng };
+      tripDestination = { lat: haven.lat, lng: haven.lng, name };
+      _resetTripTimeUI();
+      _resetTripPrefsUI();
+      MapModule.setDestination([haven.lat, haven.lng], name);
+
+      const plan = await planRoutes(tripOrigin, tripDestination, tripStops);
+      /* Cleared, re-planned or navigation started elsewhere while we were waiting */
+      if (generation !== planGeneration || guidance !== session) return;
+      renderStops();
+      drawStopMarkers();
+      if (!plan || plan.routes.length === 0) {
+        announce(`No walking route to ${name}.`);
+        return;
+      }
+
+      rawOsrmRoutes = plan.raw;
+      currentRoutes = plan.routes;
+      drawAllRoutes(false);
+
+      const recommended = currentRoutes.find(r => r.recommended) || currentRoutes[0];
+      startNavigation(recommended.idx);
+      const distText = haven.distance < 1000 ? `${Math.round(haven.distance)} m` : `${(haven.distance / 1609.34).toFixed(1)} mi`;
+      announce(`Heading to ${name}, ${haven.label.toLowerCase()}, ${distText} away.`);
+    } catch (err) {
+      if (generation !== planGeneration) return;
+      console.warn('[Routes] Route to safe place failed:', err.message);
+      announce('Could not route to a safe place. Check your connection.');
+    } finally {
+      rerouting = false;
+      if (btn) btn.disabled = false;
+    }
+  }
+
+  /* Toast + speech for navigation events */
+  function announce(text) {
+    if (typeof App !== 'undefined' && App.showToast) App.showToast(text);
+    if ('speechSynthesis' in window) {
+      try {
+        window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(new SpeechSynthesisUtterance(text));
+      } catch (_) { /* speech is best-effort */ }
+    }
+  }
+
+  function setHero(step, distText) {
+    const heroIcon = document.getElementById('dirHeroIcon');
+    const heroInstr = document.getElementById('dirHeroInstruction');
+    const heroDist = document.getElementById('dirHeroDist');
+    if (heroIcon) heroIcon.innerHTML = maneuverSVG(step.maneuver);
+    if (heroInstr) heroInstr.textContent = stepInstruction(step);
+    if (heroDist) heroDist.textContent = distText || '';
+  }
+
+  /* Dim completed steps and highlight the upcoming maneuver in #dirSteps */
+  function markSteps(doneThrough, nextIdx) {
+    document.querySelectorAll('#dirSteps .dir-step').forEach(el => {
+      const i = parseInt(el.dataset.stepIdx, 10);
+      el.classList.toggle('dir-step--done', i <= doneThrough);
+      const isNext = i === nextIdx;
+      if (isNext && !el.classList.contains('dir-step--next')) {
+        el.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+      }
+      el.classList.toggle('dir-step--next', isNext);
+    });
+  }
+
+  /* Scale the summary bar to what is left of the route */
+  function updateRemaining(remainingM) {
+    if (!guidance || guidance.total <= 0) return;
+    const frac = remainingM / guidance.total;
+    const mins = Math.max(1, Math.round(guidance.duration * frac / 60));
+    const dirTimeEl = document.getElementById('dirTime');
+    const dirDistEl = document.getElementById('dirDist');
+    if (dirTimeEl) dirTimeEl.textContent = mins < 60 ? `${mins} min` : `${Math.floor(mins / 60)}h ${mins % 60}m`;
+    if (dirDistEl) dirDistEl.textContent = `${(guidance.distance * frac / 1609.34).toFixed(1)} mi`;
+  }
+
+  function showArrival() {
+    guidance.arrived = true;
+    const last = guidance.steps.length - 1;
+    setHero({ maneuver: { type: 'arrive' } }, '');
+    const heroInstr = document.getElementById('dirHeroInstruction');
+    if (heroInstr) heroInstr.textContent = 'You have arrived';
+    markSteps(last, -1);
+    const dirTimeEl = document.getElementById('dirTime');
+    const dirDistEl = document.getElementById('dirDist');
+    if (dirTimeEl) dirTimeEl.textContent = '0 min';
+    if (dirDistEl) dirDistEl.textContent = '0.0 mi';
+    if (navigator.vibrate) navigator.vibrate([120, 80, 120]);
+    console.log('[Routes] Arrived at destination');
+  }
+
   /* --- Show map with the active route still displayed (back from directions) --- */
   function showMapWithRoute() {
     const dp = document.getElementById('directionsPage');
@@ -822,7 +1711,7 @@ const RoutesModule = (() => {
     const mod  = m.modifier || '';
 
     if (type === 'depart')  return name ? `Head on ${name}` : 'Depart';
-    if (type === 'arrive')  return 'Arrive at destination';
+    if (type === 'arrive')  return step.stopName ? `Arrive at stop ${step.stopIdx + 1}: ${step.stopName}` : 'Arrive at destination';
 
     let action = 'Continue';
     if (mod.includes('left')  && mod.includes('sharp')) action = 'Sharp left';
@@ -836,6 +1725,12 @@ const RoutesModule = (() => {
     return name ? `${action} onto ${name}` : action;
   }
 
+  /* --- Duration formatting (seconds → "12 min" / "1h 5m") --- */
+  function formatDuration(sec) {
+    const mins = Math.round(sec / 60);
+    return mins < 60 ? `${mins} min` : `${Math.floor(mins / 60)}h ${mins % 60}m`;
+  }
+
   /* --- Distance formatting --- */
   function formatDist(meters) {
     if (!meters || meters < 1) return '';
@@ -867,21 +1762,35 @@ const RoutesModule = (() => {
         });
       }
     });
+    stopGuidance();
     activeRoute = null;
     selectedRouteIdx = null;
   }
 
   function clearRoutes() {
+    planGeneration++;
+    stopGuidance();
     clearRouteLines();
     activeRoute = null;
     selectedRouteIdx = null;
     currentRoutes = [];
     rawOsrmRoutes = [];
+    tripOrigin = null;
+    tripDestination = null;
+    tripStops = [];
+    _resetTripTimeUI();
+    _resetTripPrefsUI();
+    stopMarkers.forEach(m => m.remove());
+    stopMarkers = [];
+    renderStops();
     const dpEl = document.getElementById('directionsPage');
     if (dpEl) { dpEl.classList.remove('active'); dpEl.style.visibility = ''; dpEl.style.opacity = ''; dpEl.style.pointerEvents = ''; }
     const startBtn = document.getElementById('routeStartNav');
     if (startBtn) startBtn.classList.remove('visible');
   }
 
-  return { init, showPanel, closePanel, closeNavView, fetchRoutes, isRoutingActive };
+  return {
+    init, showPanel, closePanel, closeNavView, fetchRoutes, isRoutingActive,
+    addStop, removeStop, moveStop, getStops
+  };
 })();
@@ -0,0 +1,108 @@
+/* ===== tile-cache.js — Persistent Overpass Tile Cache (IndexedDB) ===== */
+
+/*
+ * Keeps base-map overlay data (buildings, water, green spaces, railways,
+ * POIs) per tile so a reload or a pan back over a known area doesn't ask
+ * Overpass again.  Entries are { key, time, features } where `key` is
+ * "<layer>|<tile>"; readers pass a max age and stale entries count as
+ * missing.  Like DangerStore, every call resolves (empty) when IndexedDB
+ * is unavailable.
+ */
+
+const TileCache = (() => {
+  const DB_NAME = 'leadinglight-tiles';
+  const DB_VERSION = 1;
+  const STORE = 'tiles';
+
+  let _dbPromise = null;
+
+  function openDB() {
+    if (_dbPromise) return _dbPromise;
+    _dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') { resolve(null); return; }
+      let req;
+      try {
+        req = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (err) {
+        console.warn('[TileCache] IndexedDB unavailable:', err);
+        resolve(null);
+        return;
+      }
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          db.createObjectStore(STORE, { keyPath: 'key' }).createIndex('time', 'time');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn('[TileCache] Could not open IndexedDB:', req.error);
+        resolve(null);
+      };
+    });
+    return _dbPromise;
+  }
+
+  /* Run `fn(store)` in one transaction; resolves with `fn`'s return value */
+  async function withStore(mode, fn) {
+    const db = await openDB();
+    if (!db) return null;
+    return new Promise(resolve => {
+      try {
+        const tx = db.transaction(STORE, mode);
+        const out = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(out);
+        tx.onerror = tx.onabort = () => {
+          console.warn(`[TileCache] ${mode} failed:`, tx.error);
+          resolve(null);
+        };
+      } catch (err) {
+        console.warn(`[TileCache] ${mode} failed:`, err);
+        resolve(null);
+      }
+    });
+  }
+
+  /**
+   * Entries for `keys` that are younger than `maxAgeMs`.
+   * @returns {Promise<Map<string, { time, features }>>}
+   */
+  async function get(keys, maxAgeMs) {
+    const found = new Map();
+    if (keys.length === 0) return found;
+    const cutoff = Date.now() - maxAgeMs;
+    await withStore('readonly', s => {
+      keys.forEach(k => {
+        const req = s.get(k);
+        req.onsuccess = () => {
+          const row = req.result;
+          if (row && row.time > cutoff) found.set(k, { time: row.time, features: row.features });
+        };
+      });
+    });
+    return found;
+  }
+
+  /** @param {Map<string, { time, features }>} entries */
+  async function put(entries) {
+    if (entries.size === 0) return;
+    await withStore('readwrite', s => {
+      entries.forEach((v, key) => s.put({ key, time: v.time, features: v.features }));
+    });
+  }
+
+  /* Drop entries written before `time` */
+  async function prune(time) {
+    await withStore('readwrite', s => {
+      const req = s.index('time').openCursor(IDBKeyRange.upperBound(time, true));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    });
+  }
+
+  return { get, put, prune };
+})();
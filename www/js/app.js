@@ -68,6 +68,7 @@ const App = (() => {
     setupProfile();
     setupContacts();
     setupFeedback();
+    setupOfflineMaps();
     setupShareLocation();
     setupShareBanner();
     setupMapLegend();
@@ -583,6 +584,21 @@ const App = (() => {
       );
     });
 
+    /* "Add Stop" — insert this place as an intermediate stop on the trip */
+    document.getElementById('sheetStopBtn')?.addEventListener('click', () => {
+      const lat = parseFloat(sheet?.dataset.lat);
+      const lng = parseFloat(sheet?.dataset.lng);
+      if (isNaN(lat) || isNaN(lng)) return;
+
+      const name = document.getElementById('sheetTitle')?.textContent || '';
+      const hadTrip = RoutesModule.isRoutingActive();
+      RoutesModule.addStop({ lat, lng, name });
+      MapModule.hideBottomSheet();
+      showToast(hadTrip
+        ? `Added stop — recalculating routes`
+        : `Stop ${RoutesModule.getStops().length} added — now choose your destination`);
+    });
+
     /* Tap handle to dismiss */
     handle?.addEventListener('click', () => {
       MapModule.hideBottomSheet();
@@ -645,7 +661,7 @@ const App = (() => {
 
     routePanel?.addEventListener('touchstart', (e) => {
       /* Don't hijack touches on buttons/links */
-      if (e.target.closest('button, a, .route-card')) { rpDragging = false; return; }
+      if (e.target.closest('button, a, select, input, .route-card')) { rpDragging = false; return; }
       rpStartY = e.touches[0].clientY;
       rpCurrentY = rpStartY;
       rpDragging = true;
@@ -696,6 +712,7 @@ const App = (() => {
     document.getElementById('contactsBack')?.addEventListener('click', () => goBack());
     document.getElementById('contactFormBack')?.addEventListener('click', () => goBack());
     document.getElementById('feedbackBack')?.addEventListener('click', () => goBack());
+    document.getElementById('offlineMapsBack')?.addEventListener('click', () => goBack());
 
     /* Settings items */
     document.querySelectorAll('.settings-item[data-goto]').forEach(item => {
@@ -709,6 +726,7 @@ const App = (() => {
         }
 
         if (target === 'feedbackScreen') resetFeedback();
+        if (target === 'offlineMapsScreen') refreshOfflineMaps();
 
         /* Load profile data when opening profile */
         if (target === 'profileSettings') {
@@ -723,6 +741,53 @@ const App = (() => {
       });
     });
 
+    /* Demo data toggle — simulated hotspots, never mixed with real data */
+    const demoToggle = document.getElementById('demoDataToggle');
+    if (demoToggle) {
+      demoToggle.checked = MapModule.isDemoMode();
+      demoToggle.addEventListener('change', () => {
+        MapModule.setDemoMode(demoToggle.checked);
+        showToast(demoToggle.checked ? 'Demo data on — simulated hotspots shown' : 'Demo data off');
+      });
+    }
+
+    /* Safety routing — weigh danger on the walking network instead of via-point detours */
+    const safetyToggle = document.getElementById('safetyRoutingToggle');
+    if (safetyToggle) {
+      safetyToggle.checked = GraphRouter.getConfig().enabled;
+      safetyToggle.addEventListener('change', () => {
+        GraphRouter.setConfig({ enabled: safetyToggle.checked });
+        showToast(safetyToggle.checked ? 'Safety routing on — short walks are routed on OpenStreetMap data' : 'Safety routing off — routes use detours');
+      });
+    }
+
+    /* Wheelchair routing — every new trip starts with the step-free profile */
+    const stepFreeToggle = document.getElementById('stepFreeToggle');
+    if (stepFreeToggle) {
+      stepFreeToggle.checked = RoutePreferences.getDefaults().includes('step-free');
+      stepFreeToggle.addEventListener('change', () => {
+        RoutePreferences.setDefault('step-free', stepFreeToggle.checked);
+        showToast(stepFreeToggle.checked ? 'Wheelchair routing on for new trips' : 'Wheelchair routing off');
+      });
+    }
+
+    /* Crime history retention — how long incidents keep influencing routes */
+    const retentionSelect = document.getElementById('retentionSelect');
+    if (retentionSelect) {
+      retentionSelect.value = String(MapModule.getRetentionDays());
+      retentionSelect.addEventListener('change', () => {
+        MapModule.setRetentionDays(parseInt(retentionSelect.value, 10));
+        /* The heatmap can't look further back than the registry keeps */
+        const heatDays = document.getElementById('heatmapDays');
+        if (heatDays) {
+          heatDays.max = String(MapModule.getRetentionDays());
+          heatDays.value = String(MapModule.getHeatmapDays());
+          heatDays.dispatchEvent(new Event('input'));
+        }
+        showToast(`Incidents older than ${retentionSelect.selectedOptions[0].textContent} will be ignored`);
+      });
+    }
+
     /* Password form */
     document.getElementById('passwordForm')?.addEventListener('submit', async (e) => {
       e.preventDefault();
@@ -927,6 +992,142 @@ const App = (() => {
     });
   }
 
+  /* ===== OFFLINE MAPS ===== */
+  let _packAbort = null;   /* set while a pack is downloading */
+
+  function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  /* The area a new pack would cover: what the map shows right now */
+  function offlinePackBounds() {
+    const b = MapModule.getMap()?.getBounds();
+    return b ? { south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() } : null;
+  }
+
+  function offlinePackZooms() {
+    const min = parseInt(document.getElementById('offlineMinZoom')?.value, 10) || 12;
+    const max = parseInt(document.getElementById('offlineMaxZoom')?.value, 10) || 16;
+    return { minZoom: Math.min(min, max), maxZoom: Math.max(min, max) };
+  }
+
+  /* Re-estimate the pack size and re-list saved packs */
+  function refreshOfflineMaps() {
+    const est = document.getElementById('offlinePackEstimate');
+    const bounds = offlinePackBounds();
+    if (est && bounds && !_packAbort) {
+      const { minZoom, maxZoom } = offlinePackZooms();
+      const e = TilePacks.estimate(bounds, minZoom, maxZoom);
+      est.textContent = e.tooLarge
+        ? `Too large (${e.tiles} tiles) — zoom the map in or pick less detail`
+        : `About ${formatBytes(e.bytes)} (${e.tiles} tiles)`
+          + (OfflineRouter.fits(bounds) ? '' : ' — map only, too large for offline routing');
+      est.classList.toggle('offline-packs__estimate--warn', e.tooLarge);
+    }
+    renderOfflinePacks();
+  }
+
+  function renderOfflinePacks() {
+    const container = document.getElementById('offlinePackList');
+    if (!container) return;
+
+    const packs = TilePacks.list();
+    const graphs = new Set(OfflineRouter.list().map(g => g.id));
+    if (packs.length === 0) {
+      container.innerHTML = '<p style="text-align:center;color:var(--text-m);padding:24px 0">No saved areas yet.</p>';
+      return;
+    }
+
+    container.innerHTML = packs.map(p => `
+      <div class="offline-pack" data-id="${escapeHtml(p.id)}">
+        <div class="offline-pack__info">
+          <span class="offline-pack__name">${escapeHtml(p.name)}</span>
+          <span class="offline-pack__meta">${formatBytes(p.bytes)} · ${graphs.has(p.id) ? 'map + walking routes' : 'map only'} · saved ${new Date(p.created).toLocaleDateString()}</span>
+        </div>
+        <button class="contact-card__btn contact-card__btn--delete" data-delete-pack="${escapeHtml(p.id)}" aria-label="Delete">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/></svg>
+        </button>
+      </div>
+    `).join('');
+
+    container.querySelectorAll('[data-delete-pack]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        btn.disabled = true;
+        await TilePacks.remove(btn.dataset.deletePack);
+        await OfflineRouter.removeGraph(btn.dataset.deletePack);
+        renderOfflinePacks();
+        showToast('Offline area deleted');
+      });
+    });
+  }
+
+  function setupOfflineMaps() {
+    document.getElementById('offlineMinZoom')?.addEventListener('change', refreshOfflineMaps);
+    document.getElementById('offlineMaxZoom')?.addEventListener('change', refreshOfflineMaps);
+
+    /* The submit button doubles as "cancel" while a download runs */
+    document.getElementById('offlinePackForm')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (_packAbort) { _packAbort.abort(); return; }
+
+      const bounds = offlinePackBounds();
+      if (!bounds) return;
+      const { minZoom, maxZoom } = offlinePackZooms();
+      if (TilePacks.estimate(bounds, minZoom, maxZoom).tooLarge) {
+        showToast('Area too large — zoom the map in first');
+        return;
+      }
+
+      const btn = document.getElementById('offlinePackSubmit');
+      const est = document.getElementById('offlinePackEstimate');
+      const nameInput = document.getElementById('offlinePackName');
+      _packAbort = new AbortController();
+      if (btn) btn.textContent = 'Cancel';
+
+      try {
+        const pack = await TilePacks.download({
+          name: nameInput?.value.trim() || `Area saved ${new Date().toLocaleDateString()}`,
+          bounds, minZoom, maxZoom,
+          signal: _packAbort.signal,
+          onProgress: (done, total) => {
+            if (est) est.textContent = `Downloading… ${Math.round(done / total * 100)}%`;
+          }
+        });
+        if (nameInput) nameInput.value = '';
+
+        /* Walkable paths for the same area, so routing works without signal too */
+        if (!OfflineRouter.fits(bounds)) {
+          showToast(`"${pack.name}" saved — area too large for offline routing`);
+        } else {
+          if (est) est.textContent = 'Downloading walking paths…';
+          try {
+            await OfflineRouter.downloadGraph(pack.id, bounds, _packAbort.signal);
+            showToast(`"${pack.name}" saved for offline use`);
+          } catch (err) {
+            if (err.name === 'AbortError') {
+              await TilePacks.remove(pack.id);
+              throw err;
+            }
+            console.warn('[Offline] Walking graph download failed:', err);
+            showToast(`"${pack.name}" saved — offline routing unavailable for it`);
+          }
+        }
+      } catch (err) {
+        if (err.name === 'AbortError') {
+          showToast('Download cancelled');
+        } else {
+          console.warn('[Offline] Pack download failed:', err);
+          showToast(`Download failed: ${err.message}`);
+        }
+      }
+
+      _packAbort = null;
+      if (btn) btn.textContent = 'Download This Area';
+      refreshOfflineMaps();
+    });
+  }
+
   /* ===== FEEDBACK ===== */
   function setupFeedback() {
     const stars = document.querySelectorAll('#starRating .star');
@@ -1072,7 +1273,7 @@ const App = (() => {
     setTimeout(() => toast.classList.remove('active'), 2500);
   }
 
-  /* ===== MAP LEGEND TOGGLE ===== */
+  /* ===== MAP LEGEND & LAYER TOGGLES ===== */
   function setupMapLegend() {
     const legend = document.getElementById('mapLegend');
     const toggle = document.getElementById('legendToggle');
@@ -1082,6 +1283,32 @@ const App = (() => {
     document.getElementById('map')?.addEventListener('click', () => {
       legend.classList.remove('open');
     });
+
+    /* Layer toggles — one checkbox per overlay, state kept by MapModule */
+    const heatRange = document.getElementById('heatmapRange');
+    legend.querySelectorAll('input[data-layer]').forEach(input => {
+      const layer = input.dataset.layer;
+      const sync = () => {
+        if (layer === 'heatmap' && heatRange) heatRange.style.display = input.checked ? '' : 'none';
+      };
+      input.checked = MapModule.isLayerOn(layer);
+      sync();
+      input.addEventListener('change', () => {
+        MapModule.setLayerOn(layer, input.checked);
+        sync();
+      });
+    });
+
+    /* Crime heatmap time-window slider */
+    const heatDays = document.getElementById('heatmapDays');
+    const heatLabel = document.getElementById('heatmapDaysLabel');
+    if (!heatDays) return;
+    const showDays = () => { if (heatLabel) heatLabel.textContent = `Last ${heatDays.value} days`; };
+    heatDays.max = String(MapModule.getRetentionDays());
+    heatDays.value = String(MapModule.getHeatmapDays());
+    showDays();
+    heatDays.addEventListener('input', showDays);
+    heatDays.addEventListener('change', () => MapModule.setHeatmapDays(parseInt(heatDays.value, 10)));
   }
 
   /* ===== EXPOSE CONTACTS FOR OTHER MODULES ===== */
@@ -0,0 +1,141 @@
+/* ===== crime-taxonomy.js — Shared Crime Classes & Severities ===== */
+
+/*
+ * Every data source (UK Police categories, FBI offences, city open-data
+ * descriptions, community reports, demo hotspots) is mapped onto one set of
+ * classes.  A class carries the severity the router uses and the icon the
+ * map draws, so a robbery weighs the same wherever it was reported.
+ *
+ * Severity is calibrated by risk to someone walking past:
+ *   5 — life-threatening violence against a person
+ *   4 — violence or weapons
+ *   3 — offences aimed at a person without violence (snatch theft, harassment)
+ *   2 — property crime and disorder in public space
+ *   1 — little direct pedestrian risk (fraud, vandalism, hazards)
+ */
+
+const CrimeTaxonomy = (() => {
+  const CLASSES = {
+    'homicide':        { label: 'Homicide',            severity: 5, emoji: '💀', color: '#B71C1C' },
+    'sexual-assault':  { label: 'Sexual assault',      severity: 5, emoji: '⚠️', color: '#C62828' },
+    'robbery':         { label: 'Robbery',             severity: 5, emoji: '💰', color: '#E53935' },
+    'kidnapping':      { label: 'Kidnapping',          severity: 5, emoji: '🚨', color: '#D32F2F' },
+    'assault':         { label: 'Assault',             severity: 4, emoji: '🤛', color: '#D32F2F' },
+    'weapons':         { label: 'Weapons offence',     severity: 4, emoji: '🔪', color: '#F44336' },
+    'personal-theft':  { label: 'Theft from a person', severity: 3, emoji: '🎒', color: '#FB8C00' },
+    'harassment':      { label: 'Harassment',          severity: 3, emoji: '🚨', color: '#FF6F00' },
+    'public-disorder': { label: 'Public disorder',     severity: 2, emoji: '📢', color: '#FFA000' },
+    'drugs':           { label: 'Drug activity',       severity: 2, emoji: '💊', color: '#AB47BC' },
+    'suspicious':      { label: 'Suspicious activity', severity: 2, emoji: '👁️', color: '#FFB300' },
+    'burglary':        { label: 'Burglary',            severity: 2, emoji: '🏠', color: '#EF5350' },
+    'vehicle-crime':   { label: 'Vehicle crime',       severity: 2, emoji: '🚗', color: '#FF5722' },
+    'theft':           { label: 'Theft',               severity: 2, emoji: '👜', color: '#FFCA28' },
+    'arson':           { label: 'Arson',               severity: 2, emoji: '🔥', color: '#FF7043' },
+    'vandalism':       { label: 'Vandalism',           severity: 1, emoji: '🔨', color: '#FF8F00' },
+    'fraud':           { label: 'Fraud',               severity: 1, emoji: '📄', color: '#78909C' },
+    'hazard':          { label: 'Hazard',              severity: 1, emoji: '🚧', color: '#FFD600' },
+    /* FBI agency locations summarise a whole jurisdiction, not a spot on the street */
+    'agency':          { label: 'Police agency',       severity: 1, emoji: '🚔', color: '#EF5350' },
+    'other':           { label: 'Other crime',         severity: 1, emoji: '❓', color: '#78909C' }
+  };
+
+  /* ===== SOURCE MAPPINGS ===== */
+
+  /* data.police.uk street-level categories */
+  const UK_POLICE = {
+    'anti-social-behaviour': 'public-disorder',
+    'bicycle-theft':         'theft',
+    'burglary':              'burglary',
+    'criminal-damage-arson': 'vandalism',
+    'drugs':                 'drugs',
+    'other-theft':           'theft',
+    'possession-of-weapons': 'weapons',
+    'public-order':          'public-disorder',
+    'robbery':               'robbery',
+    'shoplifting':           'theft',
+    'theft-from-the-person': 'personal-theft',
+    'vehicle-crime':         'vehicle-crime',
+    'violent-crime':         'assault',
+    'other-crime':           'other'
+  };
+
+  /* FBI UCR offence keys */
+  const FBI = {
+    'homicide':            'homicide',
+    'rape':                'sexual-assault',
+    'robbery':             'robbery',
+    'aggravated-assault':  'assault',
+    'violent-crime':       'assault',
+    'burglary':            'burglary',
+    'larceny':             'theft',
+    'motor-vehicle-theft': 'vehicle-crime',
+    'arson':               'arson',
+    'property-crime':      'theft'
+  };
+
+  /* Community report types (reports.js) */
+  const REPORTS = {
+    'harassment':    'harassment',
+    'suspicious':    'suspicious',
+    'poor-lighting': 'hazard',
+    'unsafe-road':   'hazard',
+    'closed-path':   'hazard',
+    'other':         'other'
+  };
+
+  /* Free-text rules for open-data descriptions; first match wins */
+  const TEXT_RULES = [
+    [/homicide|murder|manslaughter/,  'homicide'],
+    [/rape|sexual|sex offense/,       'sexual-assault'],
+    [/robbery|carjack/,               'robbery'],
+    [/kidnap|abduct/,                 'kidnapping'],
+    [/assault|battery/,               'assault'],
+    [/shooting|weapon|firearm/,       'weapons'],
+    [/pickpocket|purse snatch/,       'personal-theft'],
+    [/harass|stalk|intimidat/,        'harassment'],
+    [/burglary|breaking/,             'burglary'],
+    [/arson/,                         'arson'],
+    [/vehicle|auto theft/,            'vehicle-crime'],
+    [/larceny|theft|steal|shoplift/,  'theft'],
+    [/drug|narcotic/,                 'drugs'],
+    [/fraud|forgery|deceptive/,       'fraud'],
+    [/vandal|damage|mischief/,        'vandalism'],
+    [/disorder|disturb|anti-social/,  'public-disorder']
+  ];
+
+  /**
+   * Class for free text, trying `extraRules` ([[RegExp, class], …]) first.
+   * Returns null when nothing matches so callers can try other fields.
+   */
+  function classifyText(text, extraRules) {
+    const t = (text || '').toLowerCase();
+    for (const [re, cls] of [...(extraRules || []), ...TEXT_RULES]) {
+      if (re.test(t)) return cls;
+    }
+    return null;
+  }
+
+  /**
+   * Map a source-specific category onto a class key.
+   * @param {string} source – 'uk-police' | 'fbi' | 'report' | anything else
+   *                          (free-text category matching)
+   */
+  function classify(source, category) {
+    const key = (category || '').toLowerCase();
+    if (source === 'uk-police') return UK_POLICE[key] || 'other';
+    if (source === 'fbi') return FBI[key.replace(/[_ ]/g, '-')] || 'other';
+    if (source === 'report') return REPORTS[key] || 'other';
+    return CLASSES[key] ? key : classifyText(key) || 'other';
+  }
+
+  /** Style + severity for a class key (unknown keys fall back to 'other') */
+  function get(cls) {
+    return CLASSES[cls] || CLASSES.other;
+  }
+
+  function severityOf(cls) {
+    return get(cls).severity;
+  }
+
+  return { CLASSES, classify, classifyText, get, severityOf };
+})();
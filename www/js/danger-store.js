@@ -0,0 +1,181 @@
+/* ===== danger-store.js — Persistent Danger Registry (IndexedDB) ===== */
+
+/*
+ * Keeps the danger registry, per-provider fetch times and the detected
+ * place across sessions, so a cold start can route around known incidents
+ * before any network request returns.
+ *
+ * Object stores:
+ *   zones   — registry entries, keyed by their spatial-hash key and indexed
+ *             by a TILE_DEG tile so a viewport can be read back cheaply
+ *   fetches — "<provider>|<tile>" → when that provider last covered the tile;
+ *             rows older than the retention window are pruned
+ *   meta    — small named values (the reverse-geocoded place, …)
+ *
+ * Every call resolves (to an empty result) when IndexedDB is unavailable
+ * or fails — persistence is a speed-up, never a requirement.
+ */
+
+const DangerStore = (() => {
+  const DB_NAME = 'leadinglight';
+  const DB_VERSION = 1;
+  const TILE_DEG = 0.05;
+
+  let _dbPromise = null;
+
+  function openDB() {
+    if (_dbPromise) return _dbPromise;
+    _dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') { resolve(null); return; }
+      let req;
+      try {
+        req = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (err) {
+        console.warn('[Store] IndexedDB unavailable:', err);
+        resolve(null);
+        return;
+      }
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('zones')) {
+          db.createObjectStore('zones', { keyPath: 'key' }).createIndex('tile', 'tile');
+        }
+        if (!db.objectStoreNames.contains('fetches')) db.createObjectStore('fetches', { keyPath: 'key' });
+        if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.warn('[Store] Could not open IndexedDB:', req.error);
+        resolve(null);
+      };
+    });
+    return _dbPromise;
+  }
+
+  /* Run `fn(store)` in one transaction; resolves with the last request's result */
+  async function withStore(name, mode, fn) {
+    const db = await openDB();
+    if (!db) return null;
+    return new Promise(resolve => {
+      try {
+        const tx = db.transaction(name, mode);
+        const req = fn(tx.objectStore(name));
+        tx.oncomplete = () => resolve(req ? req.result : null);
+        tx.onerror = tx.onabort = () => {
+          console.warn(`[Store] ${name} ${mode} failed:`, tx.error);
+          resolve(null);
+        };
+      } catch (err) {
+        console.warn(`[Store] ${name} ${mode} failed:`, err);
+        resolve(null);
+      }
+    });
+  }
+
+  /* ===== TILES ===== */
+
+  function tileKey(lat, lng) {
+    return `${Math.floor(lat / TILE_DEG)}_${Math.floor(lng / TILE_DEG)}`;
+  }
+
+  /* Tile keys covering { south, west, north, east } */
+  function tilesFor(bounds) {
+    const tiles = [];
+    for (let y = Math.floor(bounds.south / TILE_DEG); y <= Math.floor(bounds.north / TILE_DEG); y++) {
+      for (let x = Math.floor(bounds.west / TILE_DEG); x <= Math.floor(bounds.east / TILE_DEG); x++) {
+        tiles.push(`${y}_${x}`);
+      }
+    }
+    return tiles;
+  }
+
+  /*
+   * `bounds` grown outwards to whole tiles, so marking its tiles claims
+   * nothing unqueried.  Edges sit a hair inside so rounding can't spill
+   * into a neighbouring tile.
+   */
+  function snapToTiles(bounds) {
+    const EDGE = 1e-9;
+    return {
+      south: Math.floor(bounds.south / TILE_DEG) * TILE_DEG + EDGE,
+      west: Math.floor(bounds.west / TILE_DEG) * TILE_DEG + EDGE,
+      north: (Math.floor(bounds.north / TILE_DEG) + 1) * TILE_DEG - EDGE,
+      east: (Math.floor(bounds.east / TILE_DEG) + 1) * TILE_DEG - EDGE
+    };
+  }
+
+  /* ===== ZONES ===== */
+
+  async function loadZones() {
+    return (await withStore('zones', 'readonly', s => s.getAll())) || [];
+  }
+
+  async function saveZones(zones) {
+    if (zones.length === 0) return;
+    await withStore('zones', 'readwrite', s => {
+      zones.forEach(z => s.put({ ...z, tile: tileKey(z.lat, z.lng) }));
+    });
+  }
+
+  async function deleteZones(keys) {
+    if (keys.length === 0) return;
+    await withStore('zones', 'readwrite', s => {
+      keys.forEach(k => s.delete(k));
+    });
+  }
+
+  /* ===== FETCH TIMES ===== */
+
+  /**
+   * When `provider` last covered every one of `tiles` (ms since epoch) —
+   * the oldest of their fetch times, or 0 if any tile was never fetched.
+   */
+  async function lastFetched(provider, tiles) {
+    const times = [];
+    await withStore('fetches', 'readonly', s => {
+      tiles.forEach(t => {
+        const req = s.get(`${provider}|${t}`);
+        req.onsuccess = () => times.push(req.result?.time || 0);
+      });
+    });
+    if (tiles.length === 0 || times.length < tiles.length) return 0;
+    return Math.min(...times);
+  }
+
+  async function markFetched(provider, tiles, time) {
+    await withStore('fetches', 'readwrite', s => {
+      tiles.forEach(t => s.put({ key: `${provider}|${t}`, time }));
+    });
+  }
+
+  /* Drop fetch times older than `before`; past the retention window they save nothing */
+  async function pruneFetches(before) {
+    await withStore('fetches', 'readwrite', s => {
+      const req = s.openCursor();
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        if (!(cursor.value.time >= before)) cursor.delete();
+        cursor.continue();
+      };
+    });
+  }
+
+  /* ===== META ===== */
+
+  async function getMeta(key) {
+    const row = await withStore('meta', 'readonly', s => s.get(key));
+    return row ? row.value : null;
+  }
+
+  async function setMeta(key, value) {
+    await withStore('meta', 'readwrite', s => s.put({ key, value }));
+  }
+
+  return {
+    tileKey, tilesFor, snapToTiles,
+    loadZones, saveZones, deleteZones,
+    lastFetched, markFetched, pruneFetches,
+    getMeta, setMeta
+  };
+})();
@@ -7,30 +7,165 @@ const MapModule = (() => {
   let poiMarkers = [];
   let reportMarkers = [];
   let crimeMarkers = [];
-  let poiLoaded = false;
+  /* One MarkerCluster per marker layer — markers go to these, not the map */
+  let poiCluster, reportCluster, crimeCluster, hotspotCluster;
+  const _incidentOf = new WeakMap();   /* crime marker → incident */
   let watchId = null;
   let userLatLng = null;   /* most-recent real position */
+  let userFixed = false;   /* userLatLng is a GPS fix, not an IP lookup or DEFAULT_CENTER */
   let crimeLoaded = false;
+  const _positionListeners = [];   /* callbacks fed every location fix */
 
   /* ===== PERSISTENT DANGER ZONE REGISTRY =====
    * Accumulates every real crime marker AND every simulated hotspot
    * position that has ever been loaded during the session.
    * Keyed by a spatial hash so duplicates are ignored.
    * This registry is what the routing engine consults — it survives
-   * map pans and marker reloads.                                     */
-  const _dangerRegistry = {};   /* key → { lat, lng, radius, severity } */
+   * map pans and marker reloads.  Each entry is tagged with its data
+   * source so simulated (demo) zones can be told apart from real ones.
+   * Real zones are also saved to DangerStore (IndexedDB) and restored on
+   * init, so a cold start can avoid known incidents straight away.
+   * _zoneIndex mirrors the registry in a grid so bounds lookups stay fast
+   * however large it grows. */
+  const _dangerRegistry = {};   /* key → { key, lat, lng, radius, severity, label, category, timestamp, timeExact, source, incidents } */
+  const _zoneIndex = ZoneIndex.create();
+  const SIMULATED_SOURCE = 'simulated';
+  let _registryRestored = Promise.resolve();
+
+  /* New real zones are written to DangerStore in batches */
+  let _unsavedZones = [];
+  const _flushUnsavedZones = debounce(() => {
+    const batch = _unsavedZones;
+    _unsavedZones = [];
+    DangerStore.saveZones(batch);
+  }, 1000);
 
   function _dangerKey(lat, lng) {
     return `${lat.toFixed(5)}_${lng.toFixed(5)}`;
   }
 
-  function registerDangerZone(lat, lng, radius, severity) {
+  /*
+   * Several incidents can share one spot (the UK Police API snaps crimes to
+   * anonymised points): the zone keeps each one's time in `incidents`
+   * (id → timestamp) and takes the worst severity and the latest time.
+   *
+   * `info` (all optional):
+   *   id        — the incident's id, so reloading it doesn't count it twice
+   *   label     — short description ("Robbery", agency name, …) shown when a
+   *               zone is listed as contributing to a risky stretch of a route
+   *   category  — CrimeTaxonomy class key; `severity` should be its severity
+   *   timestamp — when the incident happened (ms since epoch)
+   *   timeExact — true if `timestamp` carries a real time of day; false for
+   *               month-level data such as the UK Police API
+   *   source    — where the zone came from: a CrimeProviders name ('uk-police',
+   *               'chicago', 'fbi', …), 'report', or SIMULATED_SOURCE
+   */
+  function registerDangerZone(lat, lng, radius, severity, info) {
     const k = _dangerKey(lat, lng);
-    if (!_dangerRegistry[k]) {
-      _dangerRegistry[k] = { lat, lng, radius: radius || 100, severity: severity || 3 };
+    const timestamp = info?.timestamp || null;
+    if (timestamp && _isExpired(timestamp, Date.now())) return;
+    const id = String(info?.id ?? `${info?.source || 'unknown'}|${timestamp || ''}|${info?.label || ''}`);
+    let zone = _dangerRegistry[k];
+    if (!zone) {
+      zone = _dangerRegistry[k] = {
+        key: k, lat, lng,
+        radius: radius || 100,
+        severity: severity || 3,
+        label: info?.label || 'Reported incident',
+        category: info?.category || 'other',
+        timestamp,
+        timeExact: !!info?.timeExact,
+        source: info?.source || 'unknown',
+        incidents: {}
+      };
+      _zoneIndex.add(zone);
+    } else if (id in zone.incidents) {
+      return;
+    } else {
+      if ((severity || 3) > zone.severity) {
+        zone.severity = severity;
+        zone.label = info?.label || zone.label;
+        zone.category = info?.category || zone.category;
+      }
+      if (timestamp && zone.timestamp && timestamp > zone.timestamp) {
+        zone.timestamp = timestamp;
+        zone.timeExact = !!info?.timeExact;
+      }
+    }
+    zone.incidents[id] = timestamp;
+    if (zone.source !== SIMULATED_SOURCE) {
+      _unsavedZones.push(zone);
+      _flushUnsavedZones();
+    }
+  }
+
+  /* Reload zones saved by earlier sessions; expired ones are dropped from the store too */
+  async function restoreDangerRegistry() {
+    const saved = await DangerStore.loadZones();
+    const now = Date.now();
+    const expired = [];
+    saved.forEach(({ tile, ...zone }) => {
+      if (_isExpired(zone.timestamp, now)) expired.push(zone.key);
+      else if (!_dangerRegistry[zone.key]) {
+        /* Zones saved before incidents were counted stand for one */
+        zone.incidents = zone.incidents || { [zone.key]: zone.timestamp };
+        _dangerRegistry[zone.key] = zone;
+        _zoneIndex.add(zone);
+      }
+    });
+    DangerStore.deleteZones(expired);
+    DangerStore.pruneFetches(now - getRetentionDays() * DAY_MS);
+    if (saved.length > expired.length) {
+      console.log(`[DangerZones] Restored ${saved.length - expired.length} zones from earlier sessions`);
     }
   }
 
+  /* ===== RECENCY & RETENTION =====
+   * A zone's weight halves every RECENCY_HALF_LIFE_DAYS, so last night's
+   * incident outweighs one from last season.  Zones older than the
+   * retention window (user-configurable) are evicted from the registry.
+   * Zones without a timestamp — FBI agency summaries, demo hotspots —
+   * keep full weight and never expire.  The weighting itself lives in
+   * RouteScoring (route-scoring.js). */
+  const RETENTION_KEY = 'leadinglight_retention_days';
+  const DEFAULT_RETENTION_DAYS = 180;
+  const DAY_MS = 86400000;
+  const EVICT_INTERVAL_MS = 60 * 1000;
+  let _lastEviction = 0;
+
+  function getRetentionDays() {
+    const days = parseInt(localStorage.getItem(RETENTION_KEY), 10);
+    return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+  }
+
+  function setRetentionDays(days) {
+    localStorage.setItem(RETENTION_KEY, String(Math.max(1, Math.round(days))));
+    console.log(`[DangerZones] Retention window set to ${getRetentionDays()} days`);
+    evictExpiredZones(true);
+    renderHeatmap();
+  }
+
+  function _isExpired(timestamp, now) {
+    return !!timestamp && now - timestamp > getRetentionDays() * DAY_MS;
+  }
+
+  /* Scans the whole registry, so runs at most every EVICT_INTERVAL_MS unless forced */
+  function evictExpiredZones(force) {
+    const now = Date.now();
+    if (!force && now - _lastEviction < EVICT_INTERVAL_MS) return 0;
+    _lastEviction = now;
+    const evicted = Object.keys(_dangerRegistry).filter(k => _isExpired(_dangerRegistry[k].timestamp, now));
+    evicted.forEach(k => {
+      _zoneIndex.remove(_dangerRegistry[k]);
+      delete _dangerRegistry[k];
+    });
+    if (evicted.length) {
+      DangerStore.deleteZones(evicted);
+      console.log(`[DangerZones] Evicted ${evicted.length} zones older than ${getRetentionDays()} days`);
+    }
+    return evicted.length;
+  }
+
   /* Default center (Ann Arbor) — will move to user's real location */
   const DEFAULT_CENTER = [42.2808, -83.7430];
   const DEFAULT_ZOOM = 15;
@@ -44,34 +179,35 @@ const MapModule = (() => {
       attributionControl: true
     });
 
-    /* CARTO dark_all — clean dark tiles, no CSS filter needed */
-    L.tileLayer('https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', {
+    /* CARTO dark_all — clean dark tiles, no CSS filter needed.
+       Saved offline packs (TilePacks) are served before the network. */
+    TilePacks.tileLayer('https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', {
       attribution: '&copy; <a href="https://carto.com/">CARTO</a> &copy; <a href="https://www.openstreetmap.org/copyright">OSM</a>',
       maxZoom: 19
     }).addTo(map);
 
+    poiCluster = MarkerCluster.create({ radiusPx: 40 }).addTo(map);
+    reportCluster = MarkerCluster.create();
+    crimeCluster = MarkerCluster.create({ onStack: showIncidentStack });
+    hotspotCluster = MarkerCluster.create().addTo(map);
+    if (isLayerOn('reports')) reportCluster.addTo(map);
+    if (isLayerOn('crime')) crimeCluster.addTo(map);
+
+    updateDemoLegend();
+    _registryRestored = restoreDangerRegistry();
+    _registryRestored.then(renderHeatmap);
+    TileCache.prune(Date.now() - BASEMAP_TTL_MS);
+
     /* Try to get user location */
     locateUser();
 
-    /* Load POIs when map becomes idle after initial load */
-    map.once('moveend', () => {
-      loadNearbyPOIs();
-      loadBuildings();
-      loadWaterFeatures();
-      loadGreenSpaces();
-      loadRailways();
-      renderHotspots();
-    });
+    /* Load overlays when map becomes idle after initial load */
+    map.once('moveend', loadEnabledLayers);
 
-    /* Reload POIs when user pans significantly */
+    /* Reload overlays when user pans significantly */
     map.on('moveend', debounce(() => {
-      if (poiLoaded) loadNearbyPOIs();
       if (crimeLoaded) loadCrimeData();
-      loadBuildings();
-      loadWaterFeatures();
-      loadGreenSpaces();
-      loadRailways();
-      renderHotspots();
+      loadEnabledLayers();
     }, 1500));
 
     /* ===== LONG-PRESS TO ROUTE ===== */
@@ -162,7 +298,7 @@ const MapModule = (() => {
       navigator.geolocation.getCurrentPosition(
         (pos) => {
           const latlng = [pos.coords.latitude, pos.coords.longitude];
-          setUserPosition(latlng);
+          setUserPosition(latlng, true);
           map.setView(latlng, DEFAULT_ZOOM);
           if (!crimeLoaded) loadCrimeData();
         },
@@ -179,7 +315,7 @@ const MapModule = (() => {
       watchId = navigator.geolocation.watchPosition(
         (pos) => {
           const latlng = [pos.coords.latitude, pos.coords.longitude];
-          setUserPosition(latlng);
+          setUserPosition(latlng, true);
         },
         () => { /* ignore watch errors */ },
         { enableHighAccuracy: true, maximumAge: 5000, timeout: 15000 }
@@ -218,8 +354,15 @@ const MapModule = (() => {
     map.flyTo(pos, DEFAULT_ZOOM, { duration: 0.8 });
   }
 
-  function setUserPosition(latlng) {
+  /* `fixed` marks a GPS fix; only those reach onPositionChange listeners */
+  function setUserPosition(latlng, fixed) {
     userLatLng = latlng;   /* cache for homing */
+    userFixed = !!fixed;
+    if (userFixed) {
+      _positionListeners.forEach(fn => {
+        try { fn({ lat: latlng[0], lng: latlng[1] }); } catch (err) { console.warn('[Geo] Position listener failed:', err); }
+      });
+    }
     if (userMarker) {
       userMarker.setLatLng(latlng);
       return;
@@ -273,390 +416,852 @@ const MapModule = (() => {
     userMarker = L.marker(latlng, { icon: userIcon, zIndexOffset: 1000 }).addTo(map);
   }
 
-  /* ===== HOLLOW POI CIRCLES ===== */
-  /* Fetch real POIs from Overpass API and show as hollow purple circles */
-  async function loadNearbyPOIs() {
-    const bounds = map.getBounds();
-    const south = bounds.getSouth();
-    const west = bounds.getWest();
-    const north = bounds.getNorth();
-    const east = bounds.getEast();
+  /* ===== LAYER MANAGER =====
+   * Every overlay can be switched off from the legend.  A disabled layer is
+   * cleared and skipped by the moveend loaders, so it costs no requests.
+   * The crime layer only hides markers: incidents are still fetched because
+   * routing needs them.  State persists as { layerId: bool } (missing = on,
+   * except LAYERS_OFF_BY_DEFAULT). */
+  const LAYERS_KEY = 'leadinglight_layers';
+  const LAYERS_OFF_BY_DEFAULT = ['heatmap'];
+  let _layerState = null;
+
+  /* show() redraws a layer for the current view, hide() clears it */
+  const LAYER_HANDLERS = {
+    crime:     { show: () => crimeCluster.addTo(map), hide: () => crimeCluster.remove() },
+    heatmap:   { show: () => renderHeatmap(), hide: () => renderHeatmap() },
+    reports:   { show: () => reportCluster.addTo(map), hide: () => reportCluster.remove() },
+    hotspots:  { show: () => renderHotspots(), hide: () => renderHotspots() },
+    pois:      { show: () => loadBaseMap(), hide: () => clearBaseLayer('pois') },
+    lighting:  {
+      show: () => loadLighting(),
+      hide: () => { _lightAbort?.abort(); if (lightLayer) { lightLayer.remove(); lightLayer = null; } }
+    },
+    water:     { show: () => loadBaseMap(), hide: () => clearBaseLayer('water') },
+    green:     { show: () => loadBaseMap(), hide: () => clearBaseLayer('green') },
+    railways:  { show: () => loadBaseMap(), hide: () => clearBaseLayer('railways') },
+    buildings: { show: () => loadBaseMap(), hide: () => clearBaseLayer('buildings') }
+  };
 
-    /* Only fetch at reasonable zoom levels */
-    if (map.getZoom() < 13) return;
+  function isLayerOn(id) {
+    if (!_layerState) {
+      try { _layerState = JSON.parse(localStorage.getItem(LAYERS_KEY)) || {}; } catch { _layerState = {}; }
+    }
+    return id in _layerState ? !!_layerState[id] : !LAYERS_OFF_BY_DEFAULT.includes(id);
+  }
 
-    try {
-      const query = `
-        [out:json][timeout:10];
-        (
-          node["amenity"~"restaurant|cafe|bar|library|university|hospital|pharmacy|police|fire_station|bank|cinema|theatre"](${south},${west},${north},${east});
-          node["tourism"~"museum|hotel|attraction|viewpoint"](${south},${west},${north},${east});
-          node["shop"~"supermarket|mall|convenience"](${south},${west},${north},${east});
-        );
-        out body 80;
-      `;
-
-      const resp = await fetch('https://overpass-api.de/api/interpreter', {
-        method: 'POST',
-        body: 'data=' + encodeURIComponent(query)
-      });
+  function setLayerOn(id, on) {
+    if (!LAYER_HANDLERS[id]) return;
+    isLayerOn(id); /* make sure the saved state is loaded */
+    _layerState[id] = !!on;
+    localStorage.setItem(LAYERS_KEY, JSON.stringify(_layerState));
+    console.log(`[Map] Layer ${id} ${on ? 'on' : 'off'}`);
+    if (map) LAYER_HANDLERS[id][on ? 'show' : 'hide']();
+  }
 
-      if (!resp.ok) return;
+  /* Reload the view-dependent overlays that are switched on */
+  function loadEnabledLayers() {
+    loadBaseMap();
+    if (isLayerOn('lighting')) loadLighting();
+    if (isLayerOn('hotspots')) renderHotspots();
+    if (isLayerOn('heatmap')) renderHeatmap();
+  }
 
-      const data = await resp.json();
+  /* ===== BASE-MAP OVERLAYS =====
+   * Buildings, water, green spaces, railways and POIs share one batched
+   * Overpass query per viewport.  Results are cut into per-layer tiles,
+   * kept in memory and in TileCache for BASEMAP_TTL_MS, so a pan only asks
+   * for tiles that were never loaded or have gone stale — usually none.
+   * Each layer keeps its own zoom threshold; building tiles are smaller
+   * because footprints are dense.                                        */
+  const BASEMAP_TTL_MS = 7 * DAY_MS;
+  const MAX_BASEMAP_TILES = 150;   /* per layer — skip views larger than this */
+  const MAX_MEMORY_TILES = 800;
+
+  const BASEMAP_LAYERS = {
+    buildings: {
+      minZoom: 16, tileDeg: 0.005,
+      select: bbox => `way["building"](${bbox});`
+    },
+    /* Waterways (lines) and water bodies (areas) */
+    water: {
+      minZoom: 13, tileDeg: 0.02,
+      select: bbox => `
+        way["waterway"](${bbox});
+        way["natural"="water"](${bbox});
+        relation["natural"="water"](${bbox});
+        way["landuse"="reservoir"](${bbox});
+        way["landuse"="basin"](${bbox});`
+    },
+    green: {
+      minZoom: 13, tileDeg: 0.02,
+      select: bbox => `
+        way["leisure"="park"](${bbox});
+        way["leisure"="garden"](${bbox});
+        way["leisure"="nature_reserve"](${bbox});
+        way["landuse"="forest"](${bbox});
+        way["landuse"="grass"](${bbox});
+        way["landuse"="meadow"](${bbox});
+        way["natural"="wood"](${bbox});
+        way["landuse"="recreation_ground"](${bbox});
+        relation["leisure"="park"](${bbox});`
+    },
+    railways: {
+      minZoom: 13, tileDeg: 0.02,
+      select: bbox => `
+        way["railway"="rail"](${bbox});
+        way["railway"="light_rail"](${bbox});
+        way["railway"="subway"](${bbox});
+        way["railway"="tram"](${bbox});`
+    },
+    pois: {
+      minZoom: 13, tileDeg: 0.02,
+      select: bbox => `
+        node["amenity"~"restaurant|cafe|bar|library|university|hospital|pharmacy|police|fire_station|fuel|bank|cinema|theatre"](${bbox});
+        node["tourism"~"museum|hotel|attraction|viewpoint"](${bbox});
+        node["shop"~"supermarket|mall|convenience"](${bbox});`
+    }
+  };
 
-      /* Clear old POI markers */
-      poiMarkers.forEach(m => m.remove());
-      poiMarkers = [];
+  const _basemapTiles = new Map();   /* "<layer>|<tile>" → { time, features }, oldest first */
+  const _basemapLayers = {};         /* layer id → L.layerGroup on the map */
+  let _basemapAbort = null;
+
+  /* Tile keys of `layer` covering `bounds`, or null when there are too many */
+  function _basemapTileKeys(layer, bounds) {
+    const deg = BASEMAP_LAYERS[layer].tileDeg;
+    const s = Math.floor(bounds.getSouth() / deg);
+    const n = Math.floor(bounds.getNorth() / deg);
+    const w = Math.floor(bounds.getWest() / deg);
+    const e = Math.floor(bounds.getEast() / deg);
+    if ((n - s + 1) * (e - w + 1) > MAX_BASEMAP_TILES) return null;
+
+    const keys = [];
+    for (let ty = s; ty <= n; ty++) {
+      for (let tx = w; tx <= e; tx++) keys.push(`${layer}|${ty}_${tx}`);
+    }
+    return keys;
+  }
 
-      data.elements.forEach(el => {
-        if (!el.lat || !el.lon) return;
-
-        const name = el.tags?.name || '';
-        const type = el.tags?.amenity || el.tags?.tourism || el.tags?.shop || '';
-
-        /* Hollow purple circle matching reference */
-        const dotIcon = L.divIcon({
-          className: 'poi-marker',
-          html: `
-            <div style="
-              width:12px;height:12px;
-              border-radius:50%;
-              background:transparent;
-              border:2px solid #6C63FF;
-              box-shadow:0 0 6px rgba(108,99,255,0.35);
-            "></div>
-          `,
-          iconSize: [12, 12],
-          iconAnchor: [6, 6]
-        });
+  /* Overpass bbox string enclosing the tiles of one layer */
+  function _basemapBBox(keys, deg) {
+    const tiles = keys.map(k => k.split('|')[1].split('_').map(Number));
+    const ys = tiles.map(t => t[0]);
+    const xs = tiles.map(t => t[1]);
+    return [
+      Math.min(...ys) * deg, Math.min(...xs) * deg,
+      (Math.max(...ys) + 1) * deg, (Math.max(...xs) + 1) * deg
+    ].map(v => v.toFixed(4)).join(',');
+  }
 
-        const marker = L.marker([el.lat, el.lon], { icon: dotIcon }).addTo(map);
+  /* Which overlay an element returned by the batched query belongs to */
+  function _basemapLayerOf(el) {
+    const t = el.tags || {};
+    if (el.type === 'node') return 'pois';
+    if (t.building) return 'buildings';
+    if (t.railway) return 'railways';
+    if (t.waterway || t.natural === 'water' || t.landuse === 'reservoir' || t.landuse === 'basin') return 'water';
+    return 'green';
+  }
 
-        /* Clicking a POI opens the bottom sheet with details */
-        marker.on('click', () => {
-          const userPos = getUserPosition();
-          const dist = map.distance([userPos.lat, userPos.lng], [el.lat, el.lon]);
-          let distStr;
-          if (dist < 1000) distStr = `${Math.round(dist)}m away`;
-          else distStr = `${(dist / 1609.34).toFixed(1)} mi away`;
+  /*
+   * Element → cacheable features.  POIs stay node-shaped (registerHaven
+   * takes them as they are); ways and the outer rings of relations become
+   * { id, tags, coords }.
+   */
+  function _basemapFeatures(el) {
+    const coordsOf = geom => geom.filter(Boolean).map(g => [+g.lat.toFixed(6), +g.lon.toFixed(6)]);
+    if (el.type === 'node') return [{ id: el.id, lat: el.lat, lon: el.lon, tags: el.tags || {} }];
+    if (el.type === 'way' && el.geometry) {
+      return [{ id: `w${el.id}`, tags: el.tags || {}, coords: coordsOf(el.geometry) }];
+    }
+    if (el.type === 'relation' && el.members) {
+      return el.members
+        .filter(m => m.type === 'way' && m.role !== 'inner' && m.geometry)
+        .map(m => ({ id: `w${m.ref}`, tags: el.tags || {}, coords: coordsOf(m.geometry) }));
+    }
+    return [];
+  }
 
-          const displayType = type.replace(/_/g, ' ');
-          const displayName = name || displayType || 'Point of Interest';
+  function _rememberBaseTile(key, entry) {
+    _basemapTiles.delete(key);   /* re-insert so eviction drops the least recently used */
+    _basemapTiles.set(key, entry);
+    while (_basemapTiles.size > MAX_MEMORY_TILES) {
+      _basemapTiles.delete(_basemapTiles.keys().next().value);
+    }
+  }
 
-          showBottomSheet({
-            title: displayName,
-            desc: displayType && name ? displayType.charAt(0).toUpperCase() + displayType.slice(1) : '',
-            time: 'Nearby',
-            distance: distStr,
-            lat: el.lat,
-            lng: el.lon
-          });
-        });
+  /*
+   * Make sure every tile in `wanted` ({ layer: [keys] }) is cached: first
+   * from memory, then TileCache, then one Overpass query for the rest.
+   * Network errors propagate.
+   */
+  async function _fillBaseTiles(wanted, signal) {
+    const now = Date.now();
+    const isFresh = k => {
+      const t = _basemapTiles.get(k);
+      return t && now - t.time < BASEMAP_TTL_MS;
+    };
 
-        poiMarkers.push(marker);
+    const allKeys = Object.values(wanted).flat();
+    allKeys.filter(isFresh).forEach(k => _rememberBaseTile(k, _basemapTiles.get(k)));
+    const stored = await TileCache.get(allKeys.filter(k => !isFresh(k)), BASEMAP_TTL_MS);
+    stored.forEach((entry, k) => _rememberBaseTile(k, entry));
+
+    const fetched = new Map();
+    let statements = '';
+    Object.entries(wanted).forEach(([layer, keys]) => {
+      const missing = keys.filter(k => !isFresh(k));
+      if (missing.length === 0) return;
+      missing.forEach(k => fetched.set(k, { time: now, features: [] }));
+      statements += BASEMAP_LAYERS[layer].select(_basemapBBox(missing, BASEMAP_LAYERS[layer].tileDeg));
+    });
+    if (fetched.size === 0) return;
+
+    const data = await Overpass.query(`[out:json][timeout:25];(${statements});out geom qt;`, { signal });
+
+    /* File each feature under every fetched tile its extent touches */
+    let count = 0;
+    data.elements.forEach(el => {
+      const layer = _basemapLayerOf(el);
+      const deg = BASEMAP_LAYERS[layer].tileDeg;
+      _basemapFeatures(el).forEach(f => {
+        const pts = f.coords || [[f.lat, f.lon]];
+        if (pts.length === 0) return;
+        const lats = pts.map(p => p[0]);
+        const lngs = pts.map(p => p[1]);
+        const s = Math.floor(Math.min(...lats) / deg), n = Math.floor(Math.max(...lats) / deg);
+        const w = Math.floor(Math.min(...lngs) / deg), e = Math.floor(Math.max(...lngs) / deg);
+        for (let ty = s; ty <= n; ty++) {
+          for (let tx = w; tx <= e; tx++) fetched.get(`${layer}|${ty}_${tx}`)?.features.push(f);
+        }
+        count++;
       });
+    });
 
-      poiLoaded = true;
-    } catch (err) {
-      console.warn('[Map] POI fetch failed:', err);
-    }
+    fetched.forEach((entry, k) => _rememberBaseTile(k, entry));
+    TileCache.put(fetched);
+    console.log(`[Map] Base map: ${count} features in ${fetched.size} new tiles`);
   }
 
-  /* ===== BUILDING FOOTPRINTS ===== */
-  let buildingLayer = null;
-  let _buildingAbort = null;
-
-  async function loadBuildings() {
+  /* Load and draw every enabled base-map overlay for the current view */
+  async function loadBaseMap() {
     const zoom = map.getZoom();
-    /* Only load buildings at zoom >= 16 to avoid huge queries */
-    if (zoom < 16) {
-      if (buildingLayer) { buildingLayer.remove(); buildingLayer = null; }
-      return;
-    }
-
     const bounds = map.getBounds();
-    const bbox = `${bounds.getSouth()},${bounds.getWest()},${bounds.getNorth()},${bounds.getEast()}`;
-
-    /* Abort previous request if still pending */
-    if (_buildingAbort) _buildingAbort.abort();
-    _buildingAbort = new AbortController();
+    const wanted = {};
+    Object.keys(BASEMAP_LAYERS).forEach(layer => {
+      if (!isLayerOn(layer)) return;
+      if (zoom < BASEMAP_LAYERS[layer].minZoom) {
+        clearBaseLayer(layer);
+        return;
+      }
+      const keys = _basemapTileKeys(layer, bounds);
+      if (keys) wanted[layer] = keys;
+      else console.warn(`[Map] View too large for ${layer}, skipping`);
+    });
+    if (Object.keys(wanted).length === 0) return;
 
-    const query = `[out:json][timeout:10];(way["building"](${bbox}););out body;>;out skel qt;`;
-    const url = `https://overpass-api.de/api/interpreter?data=${encodeURIComponent(query)}`;
+    /* Abort the previous viewport's query if still pending */
+    if (_basemapAbort) _basemapAbort.abort();
+    _basemapAbort = new AbortController();
+    const signal = _basemapAbort.signal;
 
     try {
-      const resp = await fetch(url, { signal: _buildingAbort.signal });
-      if (!resp.ok) return;
-      const data = await resp.json();
+      await _fillBaseTiles(wanted, signal);
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      console.warn('[Map] Base map fetch failed:', err);
+      /* fall through: draw whatever tiles are already in memory */
+    }
 
-      /* Build a node lookup (id → {lat, lon}) */
-      const nodes = {};
-      data.elements.forEach(el => {
-        if (el.type === 'node') nodes[el.id] = [el.lat, el.lon];
-      });
+    Object.entries(wanted).forEach(([layer, keys]) => {
+      if (isLayerOn(layer)) renderBaseLayer(layer, keys);
+    });
+  }
 
-      /* Clear old layer */
-      if (buildingLayer) { buildingLayer.remove(); buildingLayer = null; }
-
-      const polygons = [];
-      data.elements.forEach(el => {
-        if (el.type !== 'way' || !el.nodes) return;
-        const coords = el.nodes.map(nid => nodes[nid]).filter(Boolean);
-        if (coords.length < 3) return;
-        polygons.push(L.polygon(coords, {
-          color: '#3a3a5c',
-          fillColor: '#1e1e34',
-          fillOpacity: 0.55,
-          weight: 0.8,
-          interactive: false
-        }));
+  function clearBaseLayer(layer) {
+    if (layer === 'pois') {
+      poiCluster.clear();
+      poiMarkers = [];
+      return;
+    }
+    if (_basemapLayers[layer]) {
+      _basemapLayers[layer].remove();
+      delete _basemapLayers[layer];
+    }
+  }
+
+  /* Features of the tiles `keys`, once each (a feature is filed in every tile it touches) */
+  function _baseFeaturesIn(keys) {
+    const seen = new Set();
+    const features = [];
+    keys.forEach(k => {
+      (_basemapTiles.get(k)?.features || []).forEach(f => {
+        if (seen.has(f.id)) return;
+        seen.add(f.id);
+        features.push(f);
       });
+    });
+    return features;
+  }
 
-      if (polygons.length > 0) {
-        buildingLayer = L.layerGroup(polygons).addTo(map);
-        /* Keep buildings behind markers */
-        buildingLayer.eachLayer(l => l.bringToBack && l.bringToBack());
-      }
-    } catch (err) {
-      if (err.name !== 'AbortError') console.warn('[Map] Building fetch failed:', err);
-    }
+  /**
+   * Base-map features of `layer` ('green', 'railways', …) inside `bounds`,
+   * through the same caches as the overlays, whether or not the layer is
+   * shown — route preferences use them.  Resolves [] for areas too large
+   * to tile; network errors (and `signal` aborting) propagate.
+   */
+  async function getBaseFeatures(layer, bounds, signal) {
+    const keys = _basemapTileKeys(layer, bounds);
+    if (!keys) return [];
+    await _fillBaseTiles({ [layer]: keys }, signal);
+    return _baseFeaturesIn(keys);
   }
 
-  /* ===== WATER FEATURES (rivers, lakes, canals, streams) ===== */
-  let waterLayer = null;
-  let _waterAbort = null;
+  function renderBaseLayer(layer, keys) {
+    const features = _baseFeaturesIn(keys);
 
-  async function loadWaterFeatures() {
-    const zoom = map.getZoom();
-    if (zoom < 13) {
-      if (waterLayer) { waterLayer.remove(); waterLayer = null; }
+    clearBaseLayer(layer);
+    if (layer === 'pois') {
+      renderPOIs(features);
       return;
     }
 
-    const bounds = map.getBounds();
-    const bbox = `${bounds.getSouth()},${bounds.getWest()},${bounds.getNorth()},${bounds.getEast()}`;
+    const zoom = map.getZoom();
+    const draw = { buildings: drawBuildings, water: drawWater, green: drawGreen, railways: drawRailways }[layer];
+    const layers = features.map(f => draw(f, zoom)).filter(Boolean);
+    if (layers.length > 0) {
+      _basemapLayers[layer] = L.layerGroup(layers).addTo(map);
+      /* Keep base-map shapes behind markers */
+      _basemapLayers[layer].eachLayer(l => l.bringToBack && l.bringToBack());
+    }
+    console.log(`[Map] Rendered ${layers.length} ${layer} features`);
+  }
 
-    if (_waterAbort) _waterAbort.abort();
-    _waterAbort = new AbortController();
+  /* ----- Building footprints ----- */
+  function drawBuildings(f) {
+    if (f.coords.length < 3) return null;
+    return L.polygon(f.coords, {
+      color: '#3a3a5c',
+      fillColor: '#1e1e34',
+      fillOpacity: 0.55,
+      weight: 0.8,
+      interactive: false
+    });
+  }
+
+  /* ----- Water features (rivers, lakes, canals, streams) ----- */
+  function drawWater(f, zoom) {
+    const coords = f.coords;
+    if (coords.length < 2) return null;
+
+    const tags = f.tags;
+    const isArea = tags.natural === 'water' || tags.landuse === 'reservoir'
+                || tags.landuse === 'basin';
+    const isRiver = tags.waterway === 'river' || tags.waterway === 'canal';
+    const isStream = tags.waterway === 'stream' || tags.waterway === 'ditch'
+                  || tags.waterway === 'drain';
+
+    if (isArea && coords.length >= 3) {
+      /* Water body polygon */
+      return L.polygon(coords, {
+        color: '#1a6aa5',
+        fillColor: '#0d3b66',
+        fillOpacity: 0.55,
+        weight: 1,
+        interactive: false
+      });
+    }
+    if (isRiver) {
+      /* Rivers & canals — thick blue line */
+      return L.polyline(coords, {
+        color: '#2E9AFE',
+        weight: zoom >= 16 ? 5 : 3,
+        opacity: 0.8,
+        lineCap: 'round',
+        lineJoin: 'round',
+        interactive: false
+      });
+    }
+    if (isStream) {
+      /* Streams & ditches — thin lighter blue */
+      return L.polyline(coords, {
+        color: '#5BC0EB',
+        weight: zoom >= 16 ? 2.5 : 1.5,
+        opacity: 0.65,
+        dashArray: '6,4',
+        lineCap: 'round',
+        interactive: false
+      });
+    }
+    /* Other waterways */
+    return L.polyline(coords, {
+      color: '#2E9AFE',
+      weight: 2,
+      opacity: 0.6,
+      interactive: false
+    });
+  }
 
-    /* Fetch waterways (lines) and water bodies (areas) */
-    const query = `[out:json][timeout:12];(
-      way["waterway"](${bbox});
-      way["natural"="water"](${bbox});
-      relation["natural"="water"](${bbox});
-      way["landuse"="reservoir"](${bbox});
-      way["landuse"="basin"](${bbox});
-    );out body;>;out skel qt;`;
-    const url = `https://overpass-api.de/api/interpreter?data=${encodeURIComponent(query)}`;
+  /* ----- Green spaces (parks, forests, gardens, nature reserves) ----- */
+  function drawGreen(f) {
+    if (f.coords.length < 3) return null;
+    const isForest = f.tags.landuse === 'forest' || f.tags.natural === 'wood';
+    return L.polygon(f.coords, {
+      color: isForest ? '#0B6623' : '#2E8B57',
+      fillColor: isForest ? '#0a3d14' : '#1a5c38',
+      fillOpacity: isForest ? 0.45 : 0.35,
+      weight: 1,
+      interactive: false
+    });
+  }
 
-    try {
-      const resp = await fetch(url, { signal: _waterAbort.signal });
-      if (!resp.ok) return;
-      const data = await resp.json();
+  /* ----- Railways ----- */
+  function drawRailways(f, zoom) {
+    if (f.coords.length < 2) return null;
+    /* Dashed white-grey line that looks like rail tracks */
+    return L.polyline(f.coords, {
+      color: '#aaaacc',
+      weight: zoom >= 16 ? 3 : 2,
+      opacity: 0.6,
+      dashArray: '8,6',
+      lineCap: 'butt',
+      interactive: false
+    });
+  }
 
-      const nodes = {};
-      data.elements.forEach(el => {
-        if (el.type === 'node') nodes[el.id] = [el.lat, el.lon];
+  /* ----- Hollow POI circles -----
+   * Real POIs as hollow purple circles; safe havens (see SAFE HAVENS) get
+   * their own badge icons instead. */
+  function renderPOIs(nodes) {
+    nodes.forEach(el => {
+      if (!el.lat || !el.lon) return;
+
+      const name = el.tags?.name || '';
+      const type = el.tags?.amenity || el.tags?.tourism || el.tags?.shop || '';
+
+      /* Hollow purple circle matching reference */
+      const dotIcon = L.divIcon({
+        className: 'poi-marker',
+        html: `
+          <div style="
+            width:12px;height:12px;
+            border-radius:50%;
+            background:transparent;
+            border:2px solid #6C63FF;
+            box-shadow:0 0 6px rgba(108,99,255,0.35);
+          "></div>
+        `,
+        iconSize: [12, 12],
+        iconAnchor: [6, 6]
       });
 
-      if (waterLayer) { waterLayer.remove(); waterLayer = null; }
-
-      const layers = [];
-      data.elements.forEach(el => {
-        if (el.type !== 'way' || !el.nodes) return;
-        const coords = el.nodes.map(nid => nodes[nid]).filter(Boolean);
-        if (coords.length < 2) return;
-
-        const tags = el.tags || {};
-        const isArea = tags.natural === 'water' || tags.landuse === 'reservoir'
-                    || tags.landuse === 'basin';
-        const isRiver = tags.waterway === 'river' || tags.waterway === 'canal';
-        const isStream = tags.waterway === 'stream' || tags.waterway === 'ditch'
-                      || tags.waterway === 'drain';
-
-        if (isArea && coords.length >= 3) {
-          /* Water body polygon */
-          layers.push(L.polygon(coords, {
-            color: '#1a6aa5',
-            fillColor: '#0d3b66',
-            fillOpacity: 0.55,
-            weight: 1,
-            interactive: false
-          }));
-        } else if (isRiver) {
-          /* Rivers & canals — thick blue line */
-          layers.push(L.polyline(coords, {
-            color: '#2E9AFE',
-            weight: zoom >= 16 ? 5 : 3,
-            opacity: 0.8,
-            lineCap: 'round',
-            lineJoin: 'round',
-            interactive: false
-          }));
-        } else if (isStream) {
-          /* Streams & ditches — thin lighter blue */
-          layers.push(L.polyline(coords, {
-            color: '#5BC0EB',
-            weight: zoom >= 16 ? 2.5 : 1.5,
-            opacity: 0.65,
-            dashArray: '6,4',
-            lineCap: 'round',
-            interactive: false
-          }));
-        } else {
-          /* Other waterways */
-          layers.push(L.polyline(coords, {
-            color: '#2E9AFE',
-            weight: 2,
-            opacity: 0.6,
-            interactive: false
-          }));
+      const haven = registerHaven(el);
+      const marker = L.marker([el.lat, el.lon], { icon: haven ? havenIcon(haven) : dotIcon });
+
+      /* Clicking a POI opens the bottom sheet with details */
+      marker.on('click', () => {
+        const userPos = getUserPosition();
+        const dist = map.distance([userPos.lat, userPos.lng], [el.lat, el.lon]);
+        let distStr;
+        if (dist < 1000) distStr = `${Math.round(dist)}m away`;
+        else distStr = `${(dist / 1609.34).toFixed(1)} mi away`;
+
+        const displayType = type.replace(/_/g, ' ');
+        const displayName = name || displayType || 'Point of Interest';
+
+        if (haven) {
+          showBottomSheet({
+            title: name || HAVEN_KINDS[haven.kind].label,
+            desc: havenStatusText(haven),
+            time: 'Safe place',
+            distance: distStr,
+            lat: el.lat,
+            lng: el.lon
+          });
+          return;
         }
+
+        showBottomSheet({
+          title: displayName,
+          desc: displayType && name ? displayType.charAt(0).toUpperCase() + displayType.slice(1) : '',
+          time: 'Nearby',
+          distance: distStr,
+          lat: el.lat,
+          lng: el.lon
+        });
       });
 
-      if (layers.length > 0) {
-        waterLayer = L.layerGroup(layers).addTo(map);
-        waterLayer.eachLayer(l => l.bringToBack && l.bringToBack());
+      poiMarkers.push(poiCluster.addMarker(marker));
+    });
+  }
+
+  /* ===== OVERPASS TILES =====
+   * Route-corridor data (lighting, safe havens) is fetched per ~1 km tile
+   * so repeated plans over the same area don't hit Overpass again.      */
+  const OVERPASS_TILE_DEG = 0.01;
+  const MAX_CORRIDOR_TILES = 64;   /* refuse corridor queries larger than ~8×8 km */
+
+  function _tileKey(lat, lng) {
+    return `${Math.floor(lat / OVERPASS_TILE_DEG)}_${Math.floor(lng / OVERPASS_TILE_DEG)}`;
+  }
+
+  /*
+   * Tiles covering `bounds` that are not in `loaded`, plus the Overpass bbox
+   * string enclosing them.  Returns null when the area is too large.
+   */
+  function _missingTiles(loaded, bounds) {
+    const s = Math.floor(bounds.getSouth() / OVERPASS_TILE_DEG);
+    const n = Math.floor(bounds.getNorth() / OVERPASS_TILE_DEG);
+    const w = Math.floor(bounds.getWest() / OVERPASS_TILE_DEG);
+    const e = Math.floor(bounds.getEast() / OVERPASS_TILE_DEG);
+    if ((n - s + 1) * (e - w + 1) > MAX_CORRIDOR_TILES) return null;
+
+    const missing = [];
+    for (let ty = s; ty <= n; ty++) {
+      for (let tx = w; tx <= e; tx++) {
+        if (!loaded.has(`${ty}_${tx}`)) missing.push([ty, tx]);
       }
-      console.log(`[Map] Loaded ${layers.length} water features`);
-    } catch (err) {
-      if (err.name !== 'AbortError') console.warn('[Map] Water fetch failed:', err);
     }
+    if (missing.length === 0) return { missing, bbox: null };
+
+    const ys = missing.map(t => t[0]);
+    const xs = missing.map(t => t[1]);
+    const bbox = [
+      Math.min(...ys) * OVERPASS_TILE_DEG, Math.min(...xs) * OVERPASS_TILE_DEG,
+      (Math.max(...ys) + 1) * OVERPASS_TILE_DEG, (Math.max(...xs) + 1) * OVERPASS_TILE_DEG
+    ].map(v => v.toFixed(4)).join(',');
+    return { missing, bbox };
   }
 
-  /* ===== GREEN SPACES (parks, forests, gardens, nature reserves) ===== */
-  let greenLayer = null;
-  let _greenAbort = null;
+  /* ===== STREET LIGHTING =====
+   * highway=street_lamp nodes and lit=* tags on highways, fetched per
+   * tile and kept in a coarse grid so route scoring can ask
+   * "is this point lit?" without another network round-trip.        */
+  const LIGHT_CELL_DEG = 0.0005;
+  const LAMP_REACH_M = 30;         /* a lamp lights the street within this radius */
+  const LIT_WAY_REACH_M = 20;      /* distance at which a point counts as "on" a tagged way */
+  const LIT_YES = new Set(['yes', '24/7', 'automatic', 'limited', 'interval', 'sunset-sunrise', 'dusk-dawn']);
+  const LIT_NO = new Set(['no', 'disused']);
+
+  const _lightTiles = new Set();   /* tiles already fetched */
+  const _lightGrid = {};           /* cell key → [{ lat, lng, lit, lamp }] */
+  const _lamps = {};               /* node id → { lat, lng } */
+  const _litWays = {};             /* way id → { coords, lit } */
+  let lightLayer = null;
+  let _lightAbort = null;
+
+  function _lightCellKey(lat, lng) {
+    return `${Math.floor(lat / LIGHT_CELL_DEG)}_${Math.floor(lng / LIGHT_CELL_DEG)}`;
+  }
 
-  async function loadGreenSpaces() {
-    const zoom = map.getZoom();
-    if (zoom < 13) {
-      if (greenLayer) { greenLayer.remove(); greenLayer = null; }
+  function _addLightPoint(lat, lng, lit, lamp) {
+    const k = _lightCellKey(lat, lng);
+    (_lightGrid[k] || (_lightGrid[k] = [])).push({ lat, lng, lit, lamp });
+  }
+
+  /**
+   * Fetch lamps and lit=* ways for every not-yet-loaded tile in `bounds`.
+   * Resolves once the data is in the lighting grid; network errors propagate.
+   */
+  async function loadLightingForBounds(bounds, signal) {
+    const tiles = _missingTiles(_lightTiles, bounds);
+    if (!tiles) {
+      console.warn('[Lighting] Area too large, skipping');
       return;
     }
+    if (tiles.missing.length === 0) return;
+    const { missing, bbox } = tiles;
+
+    const query = `[out:json][timeout:15];(
+      node["highway"="street_lamp"](${bbox});
+      way["highway"]["lit"](${bbox});
+    );out geom qt;`;
+    const data = await Overpass.query(query, { signal });
+
+    let lampCount = 0, wayCount = 0;
+    data.elements.forEach(el => {
+      if (el.type === 'node') {
+        if (_lamps[el.id]) return;
+        _lamps[el.id] = { lat: el.lat, lng: el.lon };
+        _addLightPoint(el.lat, el.lon, true, true);
+        lampCount++;
+      } else if (el.type === 'way' && el.geometry) {
+        if (_litWays[el.id]) return;
+        const tag = (el.tags?.lit || '').toLowerCase();
+        const lit = LIT_YES.has(tag) ? true : LIT_NO.has(tag) ? false : null;
+        if (lit === null) return;
+        const coords = el.geometry.map(g => [g.lat, g.lon]);
+        _litWays[el.id] = { coords, lit };
+        /* Densify so every ~15 m of the way has a grid point */
+        for (let i = 0; i < coords.length - 1; i++) {
+          const [aLat, aLng] = coords[i];
+          const [bLat, bLng] = coords[i + 1];
+          const pieces = Math.max(1, Math.ceil(quickDist(aLat, aLng, bLat, bLng) * 111320 / 15));
+          for (let p = 0; p < pieces; p++) {
+            const f = p / pieces;
+            _addLightPoint(aLat + (bLat - aLat) * f, aLng + (bLng - aLng) * f, lit, false);
+          }
+        }
+        _addLightPoint(coords[coords.length - 1][0], coords[coords.length - 1][1], lit, false);
+        wayCount++;
+      }
+    });
 
-    const bounds = map.getBounds();
-    const bbox = `${bounds.getSouth()},${bounds.getWest()},${bounds.getNorth()},${bounds.getEast()}`;
-
-    if (_greenAbort) _greenAbort.abort();
-    _greenAbort = new AbortController();
-
-    const query = `[out:json][timeout:12];(
-      way["leisure"="park"](${bbox});
-      way["leisure"="garden"](${bbox});
-      way["leisure"="nature_reserve"](${bbox});
-      way["landuse"="forest"](${bbox});
-      way["landuse"="grass"](${bbox});
-      way["landuse"="meadow"](${bbox});
-      way["natural"="wood"](${bbox});
-      way["landuse"="recreation_ground"](${bbox});
-      relation["leisure"="park"](${bbox});
-    );out body;>;out skel qt;`;
-    const url = `https://overpass-api.de/api/interpreter?data=${encodeURIComponent(query)}`;
+    missing.forEach(([ty, tx]) => _lightTiles.add(`${ty}_${tx}`));
+    console.log(`[Lighting] Loaded ${lampCount} lamps, ${wayCount} tagged ways (${missing.length} tiles)`);
+  }
 
-    try {
-      const resp = await fetch(url, { signal: _greenAbort.signal });
-      if (!resp.ok) return;
-      const data = await resp.json();
+  /**
+   * Lighting at a point: 'lit' (lamp or lit way nearby), 'unlit' (on a
+   * lit=no way), 'unknown' (tile loaded but nothing mapped), or null when
+   * the tile has not been fetched yet.
+   */
+  function lightingAt(lat, lng) {
+    if (!_lightTiles.has(_tileKey(lat, lng))) return null;
+
+    const cy = Math.floor(lat / LIGHT_CELL_DEG);
+    const cx = Math.floor(lng / LIGHT_CELL_DEG);
+    let unlit = false;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const cell = _lightGrid[`${cy + dy}_${cx + dx}`];
+        if (!cell) continue;
+        for (const p of cell) {
+          const d = quickDist(lat, lng, p.lat, p.lng) * 111320;
+          if (p.lit && d <= (p.lamp ? LAMP_REACH_M : LIT_WAY_REACH_M)) return 'lit';
+          if (!p.lit && d <= LIT_WAY_REACH_M) unlit = true;
+        }
+      }
+    }
+    return unlit ? 'unlit' : 'unknown';
+  }
 
-      const nodes = {};
-      data.elements.forEach(el => {
-        if (el.type === 'node') nodes[el.id] = [el.lat, el.lon];
-      });
+  /* Nearest lamp / lit-way point within maxM metres, or null */
+  function nearestLitPoint(lat, lng, maxM) {
+    const reach = Math.ceil(maxM / 111320 / LIGHT_CELL_DEG / Math.max(0.2, Math.cos(lat * Math.PI / 180)));
+    const cy = Math.floor(lat / LIGHT_CELL_DEG);
+    const cx = Math.floor(lng / LIGHT_CELL_DEG);
+    let best = null, bestD = maxM;
+    for (let dy = -reach; dy <= reach; dy++) {
+      for (let dx = -reach; dx <= reach; dx++) {
+        const cell = _lightGrid[`${cy + dy}_${cx + dx}`];
+        if (!cell) continue;
+        for (const p of cell) {
+          if (!p.lit) continue;
+          const d = quickDist(lat, lng, p.lat, p.lng) * 111320;
+          if (d < bestD) { bestD = d; best = { lat: p.lat, lng: p.lng }; }
+        }
+      }
+    }
+    return best;
+  }
 
-      if (greenLayer) { greenLayer.remove(); greenLayer = null; }
+  /* Lit-streets overlay for the current view */
+  async function loadLighting() {
+    const zoom = map.getZoom();
+    if (zoom < 15) {
+      if (lightLayer) { lightLayer.remove(); lightLayer = null; }
+      return;
+    }
 
-      const layers = [];
-      data.elements.forEach(el => {
-        if (el.type !== 'way' || !el.nodes) return;
-        const coords = el.nodes.map(nid => nodes[nid]).filter(Boolean);
-        if (coords.length < 3) return;
+    const bounds = map.getBounds();
+    if (_lightAbort) _lightAbort.abort();
+    _lightAbort = new AbortController();
 
-        const tags = el.tags || {};
-        const isForest = tags.landuse === 'forest' || tags.natural === 'wood';
+    try {
+      await loadLightingForBounds(bounds, _lightAbort.signal);
+    } catch (err) {
+      if (err.name !== 'AbortError') console.warn('[Lighting] Fetch failed:', err);
+      return;
+    }
 
-        layers.push(L.polygon(coords, {
-          color: isForest ? '#0B6623' : '#2E8B57',
-          fillColor: isForest ? '#0a3d14' : '#1a5c38',
-          fillOpacity: isForest ? 0.45 : 0.35,
-          weight: 1,
+    if (lightLayer) { lightLayer.remove(); lightLayer = null; }
+
+    const layers = [];
+    Object.values(_litWays).forEach(w => {
+      if (!w.lit || !w.coords.some(c => bounds.contains(c))) return;
+      /* Soft warm glow along lit streets */
+      layers.push(L.polyline(w.coords, {
+        color: '#FFD54F',
+        weight: zoom >= 17 ? 8 : 5,
+        opacity: 0.18,
+        lineCap: 'round',
+        interactive: false
+      }));
+    });
+    if (zoom >= 16) {
+      Object.values(_lamps).forEach(l => {
+        if (!bounds.contains([l.lat, l.lng])) return;
+        layers.push(L.circleMarker([l.lat, l.lng], {
+          radius: 2,
+          color: '#FFE082',
+          fillColor: '#FFE082',
+          fillOpacity: 0.9,
+          weight: 0,
           interactive: false
         }));
       });
+    }
 
-      if (layers.length > 0) {
-        greenLayer = L.layerGroup(layers).addTo(map);
-        greenLayer.eachLayer(l => l.bringToBack && l.bringToBack());
-      }
-      console.log(`[Map] Loaded ${layers.length} green spaces`);
-    } catch (err) {
-      if (err.name !== 'AbortError') console.warn('[Map] Green spaces fetch failed:', err);
+    if (layers.length > 0) {
+      lightLayer = L.layerGroup(layers).addTo(map);
+      lightLayer.eachLayer(l => l.bringToBack && l.bringToBack());
     }
+    console.log(`[Lighting] Rendered ${layers.length} lit features`);
   }
 
-  /* ===== RAILWAYS ===== */
-  let railLayer = null;
-  let _railAbort = null;
+  /*
+   * Sunrise / sunset for the day containing `date` at (lat, lng), using the
+   * standard low-precision solar position formulas (good to ~1–2 min).
+   * Returns { sunrise, sunset } as Dates, or { polar: 'day' | 'night' } when
+   * the sun does not cross the horizon that day.
+   */
+  function sunTimes(date, lat, lng) {
+    const rad = Math.PI / 180;
+    const DAY_MS = 86400000, J1970 = 2440588, J2000 = 2451545;
+    const d = date.getTime() / DAY_MS - 0.5 + J1970 - J2000;
+    const lw = -lng * rad;
+    const phi = lat * rad;
+
+    const cycle = Math.round(d - 0.0009 - lw / (2 * Math.PI));
+    const ds = 0.0009 + lw / (2 * Math.PI) + cycle;
+    const M = rad * (357.5291 + 0.98560028 * ds);
+    const C = rad * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+    const eclLng = M + C + rad * 102.9372 + Math.PI;
+    const dec = Math.asin(Math.sin(eclLng) * Math.sin(rad * 23.4397));
+    const jNoon = J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * eclLng);
+
+    const cosH = (Math.sin(-0.833 * rad) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+    if (cosH > 1) return { polar: 'night' };
+    if (cosH < -1) return { polar: 'day' };
+    const H = Math.acos(cosH) / (2 * Math.PI);
+    const fromJulian = j => new Date((j + 0.5 - J1970) * DAY_MS);
+    return { sunrise: fromJulian(jNoon - H), sunset: fromJulian(jNoon + H) };
+  }
 
-  async function loadRailways() {
-    const zoom = map.getZoom();
-    if (zoom < 13) {
-      if (railLayer) { railLayer.remove(); railLayer = null; }
-      return;
-    }
+  /* True when the sun is below the horizon at `when` for (lat, lng) */
+  function isDark(when, lat, lng) {
+    const t = sunTimes(when, lat, lng);
+    if (t.polar) return t.polar === 'night';
+    return when < t.sunrise || when > t.sunset;
+  }
 
-    const bounds = map.getBounds();
-    const bbox = `${bounds.getSouth()},${bounds.getWest()},${bounds.getNorth()},${bounds.getEast()}`;
+  /* ===== SAFE HAVENS =====
+   * Places someone can walk into for help: police, hospitals, and
+   * businesses that are open.  Loaded with the viewport POIs and per
+   * route corridor, and used both for scoring and "nearest safe place". */
+  const HAVEN_KINDS = {
+    police:       { emoji: '👮', color: '#4FC3F7', label: 'Police',           alwaysOpen: true },
+    hospital:     { emoji: '🏥', color: '#FF5C8A', label: 'Hospital',         alwaysOpen: true },
+    fire_station: { emoji: '🚒', color: '#FF7043', label: 'Fire station',     alwaysOpen: true },
+    pharmacy:     { emoji: '💊', color: '#00E676', label: 'Pharmacy' },
+    fuel:         { emoji: '⛽', color: '#FFD600', label: 'Petrol station' },
+    convenience:  { emoji: '🏪', color: '#FFD600', label: 'Convenience store' },
+    supermarket:  { emoji: '🛒', color: '#FFD600', label: 'Supermarket' },
+    cafe:         { emoji: '☕', color: '#BCAAA4', label: 'Café' },
+    restaurant:   { emoji: '🍽️', color: '#BCAAA4', label: 'Restaurant' },
+    hotel:        { emoji: '🏨', color: '#B39DDB', label: 'Hotel',            alwaysOpen: true }
+  };
+  const HAVEN_REACH_M = 150;       /* a haven "covers" the street within this distance */
+  const HAVEN_MAX_BONUS = 6;       /* safety points for a route covered end to end */
 
-    if (_railAbort) _railAbort.abort();
-    _railAbort = new AbortController();
+  const _havenRegistry = {};       /* OSM node id → { id, lat, lng, kind, name, hours } */
+  const _havenTiles = new Set();
 
-    const query = `[out:json][timeout:10];(
-      way["railway"="rail"](${bbox});
-      way["railway"="light_rail"](${bbox});
-      way["railway"="subway"](${bbox});
-      way["railway"="tram"](${bbox});
-    );out body;>;out skel qt;`;
-    const url = `https://overpass-api.de/api/interpreter?data=${encodeURIComponent(query)}`;
+  function _havenKind(tags) {
+    const kind = tags?.amenity || tags?.shop || tags?.tourism;
+    return HAVEN_KINDS[kind] ? kind : null;
+  }
 
-    try {
-      const resp = await fetch(url, { signal: _railAbort.signal });
-      if (!resp.ok) return;
-      const data = await resp.json();
+  function registerHaven(el) {
+    const kind = _havenKind(el.tags);
+    if (!kind || el.lat == null || el.lon == null) return null;
+    const h = {
+      id: el.id,
+      lat: el.lat,
+      lng: el.lon,
+      kind,
+      name: el.tags.name || '',
+      hours: el.tags.opening_hours || ''
+    };
+    _havenRegistry[el.id] = h;
+    return h;
+  }
 
-      const nodes = {};
-      data.elements.forEach(el => {
-        if (el.type === 'node') nodes[el.id] = [el.lat, el.lon];
-      });
+  /**
+   * Is this haven open at `when`?  true / false, or null when its hours are
+   * unknown.  Police, hospitals, etc. are assumed open unless tagged otherwise.
+   */
+  function havenOpenState(h, when) {
+    const open = OpeningHours.isOpen(h.hours, when || new Date());
+    if (open !== null) return open;
+    return HAVEN_KINDS[h.kind].alwaysOpen ? true : null;
+  }
 
-      if (railLayer) { railLayer.remove(); railLayer = null; }
-
-      const layers = [];
-      data.elements.forEach(el => {
-        if (el.type !== 'way' || !el.nodes) return;
-        const coords = el.nodes.map(nid => nodes[nid]).filter(Boolean);
-        if (coords.length < 2) return;
-
-        /* Dashed white-grey line that looks like rail tracks */
-        layers.push(L.polyline(coords, {
-          color: '#aaaacc',
-          weight: zoom >= 16 ? 3 : 2,
-          opacity: 0.6,
-          dashArray: '8,6',
-          lineCap: 'butt',
-          interactive: false
-        }));
-      });
+  /* Fetch havens for every not-yet-loaded tile in `bounds`; network errors propagate */
+  async function loadHavensForBounds(bounds, signal) {
+    const tiles = _missingTiles(_havenTiles, bounds);
+    if (!tiles) {
+      console.warn('[Havens] Area too large, skipping');
+      return;
+    }
+    if (tiles.missing.length === 0) return;
+    const { missing, bbox } = tiles;
+
+    const query = `[out:json][timeout:15];(
+      node["amenity"~"^(police|hospital|fire_station|pharmacy|fuel|cafe|restaurant)$"](${bbox});
+      node["shop"~"^(convenience|supermarket)$"](${bbox});
+      node["tourism"="hotel"](${bbox});
+    );out body qt;`;
+    const data = await Overpass.query(query, { signal });
+
+    let count = 0;
+    data.elements.forEach(el => { if (registerHaven(el)) count++; });
+    missing.forEach(([ty, tx]) => _havenTiles.add(`${ty}_${tx}`));
+    console.log(`[Havens] Loaded ${count} safe havens (${missing.length} tiles)`);
+  }
+
+  function getHavens(bounds) {
+    return Object.values(_havenRegistry).filter(h => bounds.contains([h.lat, h.lng]));
+  }
 
-      if (layers.length > 0) {
-        railLayer = L.layerGroup(layers).addTo(map);
-        railLayer.eachLayer(l => l.bringToBack && l.bringToBack());
+  /**
+   * Closest haven to (lat, lng) within maxM metres that is open at `when`.
+   * Falls back to havens with unknown hours when nothing is known to be open;
+   * closed ones are never returned.
+   * @returns {{ id, lat, lng, kind, name, hours, label, open, distance }|null}
+   */
+  function nearestHaven(lat, lng, when, maxM = 2000) {
+    let best = null;
+    Object.values(_havenRegistry).forEach(h => {
+      const distance = quickDist(lat, lng, h.lat, h.lng) * 111320;
+      if (distance > maxM) return;
+      const open = havenOpenState(h, when);
+      if (open === false) return;
+      /* Known-open beats unknown; then nearest wins */
+      if (!best || (open && !best.open) || (open === best.open && distance < best.distance)) {
+        best = { ...h, label: HAVEN_KINDS[h.kind].label, open, distance };
       }
-      console.log(`[Map] Loaded ${layers.length} railway segments`);
-    } catch (err) {
-      if (err.name !== 'AbortError') console.warn('[Map] Railway fetch failed:', err);
-    }
+    });
+    return best;
+  }
+
+  function havenIcon(h) {
+    const k = HAVEN_KINDS[h.kind];
+    const closed = havenOpenState(h) === false;
+    return L.divIcon({
+      className: 'haven-marker' + (closed ? ' haven-marker--closed' : ''),
+      html: `<div class="haven-marker__badge" style="border-color:${k.color};box-shadow:0 0 8px ${k.color}66">${k.emoji}</div>`,
+      iconSize: [24, 24],
+      iconAnchor: [12, 12]
+    });
+  }
+
+  function havenStatusText(h) {
+    const open = havenOpenState(h);
+    const status = open === true ? 'Open now' : open === false ? 'Closed now' : 'Hours unknown';
+    return `${HAVEN_KINDS[h.kind].label} · ${status}`;
   }
 
   /* ===== DESTINATION MARKER ===== */
@@ -708,7 +1313,13 @@ const MapModule = (() => {
   }
 
   /* ===== REPORT MARKERS ===== */
-  function addReportMarker(latlng, category, emoji) {
+  /*
+   * `reportType` is the ReportsModule key ('harassment', 'poor-lighting', …);
+   * it decides the taxonomy class the report is weighed as in routing.
+   */
+  const REPORT_RADIUS_M = 100;
+
+  function addReportMarker(latlng, category, emoji, reportType) {
     const icon = L.divIcon({
       className: 'report-marker',
       html: `<div style="
@@ -724,8 +1335,9 @@ const MapModule = (() => {
       iconAnchor: [15, 15]
     });
 
-    const marker = L.marker(latlng, { icon }).addTo(map);
-    reportMarkers.push(marker);
+    const cls = CrimeTaxonomy.classify('report', reportType);
+    const marker = L.marker(latlng, { icon });
+    reportMarkers.push(reportCluster.addMarker(marker, CrimeTaxonomy.severityOf(cls)));
 
     /* Clicking a report marker opens the bottom sheet */
     marker.on('click', () => {
@@ -763,6 +1375,14 @@ const MapModule = (() => {
       routable: false
     });
 
+    registerDangerZone(latlng[0], latlng[1], REPORT_RADIUS_M, CrimeTaxonomy.severityOf(cls), {
+      label: category,
+      category: cls,
+      timestamp: Date.now(),
+      timeExact: true,
+      source: 'report'
+    });
+
     return marker;
   }
 
@@ -774,6 +1394,7 @@ const MapModule = (() => {
     const timeEl = document.getElementById('sheetTime');
     const distEl = document.getElementById('sheetDistance');
     const routeBtn = document.getElementById('sheetRouteBtn');
+    const stopBtn = document.getElementById('sheetStopBtn');
     if (titleEl) titleEl.textContent = title;
     if (descEl) descEl.textContent = desc || '';
     if (timeEl) timeEl.textContent = time || '';
@@ -781,6 +1402,7 @@ const MapModule = (() => {
 
     /* Show or hide the route button */
     if (routeBtn) routeBtn.style.display = (routable === false) ? 'none' : '';
+    if (stopBtn) stopBtn.style.display = (routable === false) ? 'none' : '';
 
     /* Store coords so "Get the Route" can use them */
     if (sheet) {
@@ -796,550 +1418,309 @@ const MapModule = (() => {
 
   /* ===== REAL CRIME DATA ===== */
   /*
-   * Two data sources:
-   *   1) UK Police API  — free, no key, street-level incidents (England/Wales/NI)
-   *   2) FBI Crime Data Explorer — US, keyed, agency-level stats
-   * We reverse-geocode the user to pick the right source automatically.
+   * Sources are CrimeProviders (crime-providers.js): UK Police street-level
+   * incidents, Detroit open data, FBI agency stats, …  We reverse-geocode
+   * the user once, ask which providers cover that place, and render
+   * whatever the best one returns.  All crime markers are drawn here.
+   *
+   * Fetches are incremental: DangerStore remembers when each provider last
+   * covered each tile, views fetched within CRIME_REFRESH_MS are drawn from
+   * the saved registry alone, and older ones only ask for incidents since
+   * the last fetch (less an overlap for late-published records).  Only
+   * the area a provider actually queried is remembered (its coverage(),
+   * else the view), and a zoomed-out view is clamped to CRIME_MAX_VIEW_DEG
+   * around its centre first.
    */
 
-  const FBI_KEY = 'ody84hVzAvaJ7qrxasROnT7X8cDUFc7XURNSYF7Z';
-  const FBI_BASE = 'https://api.usa.gov/crime/fbi/sapi';
-
-  /* shared icon/color map for both UK + FBI categories */
-  const CRIME_ICONS = {
-    /* UK Police categories */
-    'anti-social-behaviour':   { emoji: '🗣️', color: '#FFA726' },
-    'burglary':                { emoji: '🏠', color: '#EF5350' },
-    'criminal-damage-arson':   { emoji: '🔥', color: '#FF7043' },
-    'drugs':                   { emoji: '💊', color: '#AB47BC' },
-    'other-theft':             { emoji: '👜', color: '#FFCA28' },
-    'possession-of-weapons':   { emoji: '🔪', color: '#F44336' },
-    'public-order':            { emoji: '📢', color: '#FFA000' },
-    'robbery':                 { emoji: '💰', color: '#E53935' },
-    'shoplifting':             { emoji: '🛒', color: '#FFB300' },
-    'theft-from-the-person':   { emoji: '🎒', color: '#FB8C00' },
-    'vehicle-crime':           { emoji: '🚗', color: '#FF5722' },
-    'violent-crime':           { emoji: '⚠️', color: '#D32F2F' },
-    'bicycle-theft':           { emoji: '🚲', color: '#FF9800' },
-    'other-crime':             { emoji: '❓', color: '#78909C' },
-    /* FBI / generic US categories */
-    'aggravated-assault':      { emoji: '🤛', color: '#D32F2F' },
-    'homicide':                { emoji: '💀', color: '#B71C1C' },
-    'rape':                    { emoji: '⚠️', color: '#C62828' },
-    'arson':                   { emoji: '🔥', color: '#FF7043' },
-    'motor-vehicle-theft':     { emoji: '🚗', color: '#FF5722' },
-    'larceny':                 { emoji: '👜', color: '#FFCA28' },
-    'property-crime':          { emoji: '🏚️', color: '#FF8F00' },
-    'violent-crime-us':        { emoji: '⚠️', color: '#D32F2F' },
-  };
-
-  let _cachedCountry = null;   /* { code, state } — avoids re-geocoding on every pan */
-
-  /*
-   * Spatial thinning — keep only items that are at least `minDist` metres apart.
-   * Items earlier in the array have priority (so sort by severity first).
-   * Each item must expose lat/lng via the `latFn`/`lngFn` accessors.
-   */
-  function thinByDistance(items, minDist, latFn, lngFn) {
-    const kept = [];
-    for (const item of items) {
-      const lat = latFn(item);
-      const lng = lngFn(item);
-      if (isNaN(lat) || isNaN(lng)) continue;
-      let tooClose = false;
-      for (const k of kept) {
-        const dlat = lat - latFn(k);
-        const dlng = lng - lngFn(k);
-        /* Quick Euclidean approximation in metres (good enough for short distances) */
-        const d = Math.sqrt(dlat * dlat + dlng * dlng) * 111320;
-        if (d < minDist) { tooClose = true; break; }
-      }
-      if (!tooClose) kept.push(item);
+  const CRIME_LOOKBACK_DAYS = 90;
+  const CRIME_MAX_VIEW_DEG = 0.2;
+  const CRIME_REFRESH_MS = 30 * 60 * 1000;
+  const CRIME_REFRESH_OVERLAP_MS = 7 * DAY_MS;
+  const PLACE_REUSE_M = 50000;   /* re-geocode once the user is this far from the saved place */
+
+  let _cachedCountry = null;   /* { code, state, city, lat, lng } — avoids re-geocoding on every pan */
+
+  /* Reverse-geocode to country + state + city (cached after the first success) */
+  async function detectPlace(pos) {
+    const near = p => p && quickDist(pos.lat, pos.lng, p.lat, p.lng) * 111320 < PLACE_REUSE_M;
+    if (!near(_cachedCountry)) _cachedCountry = null;
+    if (!_cachedCountry) {
+      const saved = await DangerStore.getMeta('place');
+      if (near(saved)) _cachedCountry = saved;
     }
-    return kept;
+    if (!_cachedCountry) {
+      const geoUrl = `https://nominatim.openstreetmap.org/reverse?lat=${pos.lat}&lon=${pos.lng}&format=json&zoom=10&addressdetails=1`;
+      const geoResp = await fetch(geoUrl, { headers: { 'Accept-Language': 'en' } });
+      const geoData = geoResp.ok ? await geoResp.json() : null;
+      _cachedCountry = {
+        code: geoData?.address?.country_code || '',
+        state: geoData?.address?.state || '',
+        city: (geoData?.address?.city || geoData?.address?.town || geoData?.address?.county || '').toLowerCase(),
+        lat: pos.lat, lng: pos.lng
+      };
+      DangerStore.setMeta('place', _cachedCountry);
+    }
+    const { code, state, city } = _cachedCountry;
+    return { lat: pos.lat, lng: pos.lng, countryCode: code, state, city };
   }
 
   /* ---- dispatcher ---- */
   async function loadCrimeData() {
     const pos = getUserPosition();
 
+    let place;
     try {
-      /* Reverse-geocode to detect country + state + city (cached after first call) */
-      if (!_cachedCountry) {
-        const geoUrl = `https://nominatim.openstreetmap.org/reverse?lat=${pos.lat}&lon=${pos.lng}&format=json&zoom=10&addressdetails=1`;
-        const geoResp = await fetch(geoUrl, { headers: { 'Accept-Language': 'en' } });
-        const geoData = geoResp.ok ? await geoResp.json() : null;
-        _cachedCountry = {
-          code: geoData?.address?.country_code || '',
-          state: geoData?.address?.state || '',
-          city: (geoData?.address?.city || geoData?.address?.town || geoData?.address?.county || '').toLowerCase()
-        };
-      }
-
-      const { code: countryCode, state, city } = _cachedCountry;
-
-      if (countryCode === 'gb') {
-        await loadUKCrimeData(pos);
-      } else if (countryCode === 'us' && city.includes('detroit')) {
-        /* Detroit has street-level open data — much richer than FBI agency stats */
-        await loadDetroitCrimeData(pos);
-      } else if (countryCode === 'us') {
-        await loadFBICrimeData(pos, state);
-      } else {
-        console.info('[Crime] Location not in UK or US — using community reports only.');
-        crimeLoaded = true;
-      }
+      place = await detectPlace(pos);
     } catch (err) {
-      console.warn('[Crime] Country detection failed, trying both sources:', err);
-      /* Fallback: try UK first, then FBI */
-      await loadUKCrimeData(pos);
-      if (crimeMarkers.length === 0) {
-        await loadFBICrimeData(pos, '');
-      }
+      console.warn('[Crime] Country detection failed, trying providers that need no location:', err);
+      place = { lat: pos.lat, lng: pos.lng, countryCode: '', state: '', city: '' };
     }
-  }
-
-  /* ---- UK Police API (street-level incidents) ---- */
-  async function loadUKCrimeData(pos) {
-    try {
-      const url = `https://data.police.uk/api/crimes-street/all-crime?lat=${pos.lat}&lng=${pos.lng}`;
-      const resp = await fetch(url);
-
-      if (!resp.ok) {
-        crimeLoaded = true;
-        return;
-      }
-
-      const crimes = await resp.json();
-      if (!Array.isArray(crimes) || crimes.length === 0) { crimeLoaded = true; return; }
-
-      crimeMarkers.forEach(m => m.remove());
-      crimeMarkers = [];
-
-      const priority = ['violent-crime', 'robbery', 'possession-of-weapons', 'burglary', 'criminal-damage-arson'];
-      crimes.sort((a, b) => {
-        const ai = priority.indexOf(a.category);
-        const bi = priority.indexOf(b.category);
-        return (ai === -1 ? 99 : ai) - (bi === -1 ? 99 : bi);
-      });
 
-      /* Thin out spatially — keep ≥80 m apart, cap at 60 markers */
-      const thinned = thinByDistance(
-        crimes,
-        80,
-        c => parseFloat(c.location?.latitude),
-        c => parseFloat(c.location?.longitude)
-      ).slice(0, 60);
-
-      thinned.forEach(crime => {
-        const clat = parseFloat(crime.location?.latitude);
-        const clng = parseFloat(crime.location?.longitude);
-        if (isNaN(clat) || isNaN(clng)) return;
-
-        const info = CRIME_ICONS[crime.category] || CRIME_ICONS['other-crime'];
-        const streetName = crime.location?.street?.name || 'Unknown street';
-        const month = crime.month || '';
-
-        const icon = L.divIcon({
-          className: 'crime-marker',
-          html: `<div style="
-            font-size:14px;width:28px;height:28px;
-            display:flex;align-items:center;justify-content:center;
-            background:rgba(20,20,34,0.92);
-            border:1.5px solid ${info.color}55;border-radius:50%;
-            box-shadow:0 0 8px ${info.color}40;
-          ">${info.emoji}</div>`,
-          iconSize: [28, 28], iconAnchor: [14, 14]
-        });
-
-        const marker = L.marker([clat, clng], { icon }).addTo(map);
-        marker.on('click', () => {
-          const d = map.distance([pos.lat, pos.lng], [clat, clng]);
-          const distStr = d < 1000 ? `${Math.round(d)}m away` : `${(d / 1609.34).toFixed(1)} mi away`;
-          const cat = crime.category.replace(/-/g, ' ');
-          showBottomSheet({
-            title: `${info.emoji} ${cat.charAt(0).toUpperCase() + cat.slice(1)}`,
-            desc: `Reported on or near ${streetName}.${crime.outcome_status ? ' Outcome: ' + crime.outcome_status.category + '.' : ''}`,
-            time: month || 'Recent',
-            distance: distStr, lat: clat, lng: clng,
-            routable: false
-          });
-        });
-        crimeMarkers.push(marker);
-
-        /* Persist this position in the danger registry */
-        const sev = CRIME_ICONS[crime.category]?.severity || 3;
-        registerDangerZone(clat, clng, 200, sev);
-      });
-
-      crimeLoaded = true;
-      console.info(`[Crime] UK: ${crimeMarkers.length} street-level incidents loaded (${Object.keys(_dangerRegistry).length} total in registry)`);
-    } catch (err) {
-      console.warn('[Crime] UK API error:', err);
+    const candidates = CrimeProviders.providersFor(place);
+    if (candidates.length === 0) {
+      console.info('[Crime] No crime-data provider covers this location — using community reports only.');
       crimeLoaded = true;
+      return;
     }
-  }
 
-  /* ---- Detroit Open Data (street-level incidents via SODA API) ---- */
-  async function loadDetroitCrimeData(pos) {
-    try {
-      /* Detroit Open Data — RMS Crime Incidents
-       * Dataset: data.detroitmi.gov  resource id: wgv9-drfc
-       * Fields: offense_description, offense_category, latitude, longitude,
-       *         incident_address, incident_timestamp, council_district, etc.
-       * Public Socrata SODA endpoint — no key required. */
-
-      const bounds = map.getBounds();
-      const south = bounds.getSouth(), north = bounds.getNorth();
-      const west = bounds.getWest(), east = bounds.getEast();
-
-      /* Fetch incidents within the current map viewport, last 90 days, up to 200 */
-      const since = new Date(Date.now() - 90 * 86400000).toISOString();
-      const url = `https://data.detroitmi.gov/resource/wgv9-drfc.json?` +
-        `$where=latitude IS NOT NULL ` +
-        `AND latitude > ${south} AND latitude < ${north} ` +
-        `AND longitude > ${west} AND longitude < ${east} ` +
-        `AND incident_timestamp > '${since}'` +
-        `&$order=incident_timestamp DESC` +
-        `&$limit=200`;
-
-      const resp = await fetch(url);
-      if (!resp.ok) throw new Error(`Detroit SODA returned ${resp.status}`);
-      const incidents = await resp.json();
-
-      if (!Array.isArray(incidents) || incidents.length === 0) {
-        console.info('[Crime] Detroit: no recent incidents in viewport.');
-        crimeLoaded = true;
-        return;
-      }
-
-      crimeMarkers.forEach(m => m.remove());
-      crimeMarkers = [];
-
-      /* Thin out spatially — keep ≥80 m apart, cap at 60 markers */
-      const thinned = thinByDistance(
-        incidents,
-        80,
-        i => parseFloat(i.latitude),
-        i => parseFloat(i.longitude)
-      ).slice(0, 60);
-
-      thinned.forEach(inc => {
-        const clat = parseFloat(inc.latitude);
-        const clng = parseFloat(inc.longitude);
-        if (isNaN(clat) || isNaN(clng)) return;
-
-        const cat = (inc.offense_category || inc.category || '').toLowerCase();
-        const desc = inc.offense_description || inc.description || cat || 'Unknown offense';
-        const address = inc.incident_address || inc.address || 'Unknown location';
-        const ts = inc.incident_timestamp || inc.report_timestamp || '';
-
-        const info = detroitCategoryIcon(cat, desc);
-
-        const icon = L.divIcon({
-          className: 'crime-marker',
-          html: `<div style="
-            font-size:14px;width:28px;height:28px;
-            display:flex;align-items:center;justify-content:center;
-            background:rgba(20,20,34,0.92);
-            border:1.5px solid ${info.color}55;border-radius:50%;
-            box-shadow:0 0 8px ${info.color}40;
-          ">${info.emoji}</div>`,
-          iconSize: [28, 28], iconAnchor: [14, 14]
-        });
-
-        const marker = L.marker([clat, clng], { icon }).addTo(map);
-
-        marker.on('click', () => {
-          const d = map.distance([pos.lat, pos.lng], [clat, clng]);
-          const distStr = d < 1000 ? `${Math.round(d)}m away` : `${(d / 1609.34).toFixed(1)} mi away`;
-
-          let timeStr = 'Recent';
-          if (ts) {
-            const dt = new Date(ts);
-            const diff = Date.now() - dt.getTime();
-            if (diff < 3600000) timeStr = `${Math.round(diff / 60000)}m ago`;
-            else if (diff < 86400000) timeStr = `${Math.round(diff / 3600000)}h ago`;
-            else timeStr = `${Math.round(diff / 86400000)}d ago`;
-          }
+    await _registryRestored;
+    const b = map.getBounds();
+    const c = b.getCenter();
+    const half = CRIME_MAX_VIEW_DEG / 2;
+    const bounds = DangerStore.snapToTiles({
+      south: Math.max(b.getSouth(), c.lat - half), west: Math.max(b.getWest(), c.lng - half),
+      north: Math.min(b.getNorth(), c.lat + half), east: Math.min(b.getEast(), c.lng + half)
+    });
+    const now = Date.now();
+    const windowStart = now - Math.min(CRIME_LOOKBACK_DAYS, getRetentionDays()) * DAY_MS;
 
-          const title = desc.length > 40 ? desc.slice(0, 37) + '…' : desc;
-          showBottomSheet({
-            title: `${info.emoji} ${title}`,
-            desc: `${desc}\n📍 ${address}${ts ? '\n🕐 ' + new Date(ts).toLocaleString() : ''}`,
-            time: timeStr,
-            distance: distStr,
-            lat: clat, lng: clng,
-            routable: false
+    /* Best provider first; fall back to the next one only on errors */
+    for (const provider of candidates) {
+      try {
+        const tiles = DangerStore.tilesFor(provider.coverage ? provider.coverage({ position: pos, bounds }) : bounds);
+        const last = await DangerStore.lastFetched(provider.name, tiles);
+        let fresh = [];
+        if (now - last < CRIME_REFRESH_MS) {
+          console.info(`[Crime] ${provider.label}: fetched ${Math.round((now - last) / 60000)} min ago — using saved incidents`);
+        } else {
+          fresh = await provider.fetchIncidents({
+            position: pos,
+            place,
+            bounds,
+            since: new Date(Math.max(windowStart, last - CRIME_REFRESH_OVERLAP_MS)),
+            until: new Date(now)
           });
-        });
-
-        crimeMarkers.push(marker);
-
-        /* Persist this position in the danger registry */
-        registerDangerZone(clat, clng, 200, info.severity || 3);
-      });
-
-      crimeLoaded = true;
-      console.info(`[Crime] Detroit: ${crimeMarkers.length} street-level incidents loaded (${Object.keys(_dangerRegistry).length} total in registry)`);
-    } catch (err) {
-      console.warn('[Crime] Detroit API error:', err);
-      /* Fall back to FBI for Michigan */
-      await loadFBICrimeData(pos, 'Michigan');
+          DangerStore.markFetched(provider.name, tiles, now);
+        }
+        const incidents = [...fresh, ...savedIncidents(provider.name, b, fresh)];
+        if (incidents.length === 0) {
+          console.info(`[Crime] ${provider.label}: no recent incidents here.`);
+        } else {
+          const shown = renderIncidents(incidents);
+          console.info(`[Crime] ${provider.label}: ${shown} incidents loaded (${Object.keys(_dangerRegistry).length} total in registry)`);
+        }
+        break;
+      } catch (err) {
+        console.warn(`[Crime] ${provider.label} error:`, err);
+      }
     }
+    crimeLoaded = true;
   }
 
-  /* Map Detroit offense categories/descriptions to icons */
-  function detroitCategoryIcon(cat, desc) {
-    const d = (cat + ' ' + desc).toLowerCase();
-    if (d.includes('homicide') || d.includes('murder'))          return { emoji: '💀', color: '#B71C1C' };
-    if (d.includes('csc') || d.includes('rape') || d.includes('sexual')) return { emoji: '⚠️', color: '#C62828' };
-    if (d.includes('robbery'))                                   return { emoji: '💰', color: '#E53935' };
-    if (d.includes('assault') || d.includes('battery'))          return { emoji: '🤛', color: '#D32F2F' };
-    if (d.includes('shooting') || d.includes('weapon') || d.includes('firearm')) return { emoji: '🔫', color: '#F44336' };
-    if (d.includes('burglary') || d.includes('breaking'))        return { emoji: '🏠', color: '#EF5350' };
-    if (d.includes('arson'))                                     return { emoji: '🔥', color: '#FF7043' };
-    if (d.includes('vehicle') || d.includes('carjack'))          return { emoji: '🚗', color: '#FF5722' };
-    if (d.includes('larceny') || d.includes('theft') || d.includes('steal')) return { emoji: '👜', color: '#FFCA28' };
-    if (d.includes('drug') || d.includes('narcotic'))            return { emoji: '💊', color: '#AB47BC' };
-    if (d.includes('fraud') || d.includes('forgery'))            return { emoji: '📄', color: '#78909C' };
-    if (d.includes('vandal') || d.includes('damage'))            return { emoji: '🔨', color: '#FF8F00' };
-    if (d.includes('kidnap'))                                    return { emoji: '🚨', color: '#D32F2F' };
-    return { emoji: '❓', color: '#78909C' };
-  }
-
-  /* ---- FBI Crime Data Explorer (US agency-level stats) ---- */
-
-  /* Map US state name → 2-letter abbreviation */
-  const US_STATES = {
-    'alabama':'AL','alaska':'AK','arizona':'AZ','arkansas':'AR','california':'CA',
-    'colorado':'CO','connecticut':'CT','delaware':'DE','florida':'FL','georgia':'GA',
-    'hawaii':'HI','idaho':'ID','illinois':'IL','indiana':'IN','iowa':'IA','kansas':'KS',
-    'kentucky':'KY','louisiana':'LA','maine':'ME','maryland':'MD','massachusetts':'MA',
-    'michigan':'MI','minnesota':'MN','mississippi':'MS','missouri':'MO','montana':'MT',
-    'nebraska':'NE','nevada':'NV','new hampshire':'NH','new jersey':'NJ','new mexico':'NM',
-    'new york':'NY','north carolina':'NC','north dakota':'ND','ohio':'OH','oklahoma':'OK',
-    'oregon':'OR','pennsylvania':'PA','rhode island':'RI','south carolina':'SC',
-    'south dakota':'SD','tennessee':'TN','texas':'TX','utah':'UT','vermont':'VT',
-    'virginia':'VA','washington':'WA','west virginia':'WV','wisconsin':'WI','wyoming':'WY',
-    'district of columbia':'DC'
-  };
-
-  async function loadFBICrimeData(pos, stateName) {
-    try {
-      const stateAbbr = US_STATES[stateName.toLowerCase()] || '';
-      if (!stateAbbr) {
-        console.warn('[Crime] Could not determine US state abbreviation for:', stateName);
-        crimeLoaded = true;
-        return;
-      }
+  /* "35m ago" / "5h ago" / "3d ago" for an incident timestamp */
+  function formatIncidentAge(ts) {
+    const diff = Date.now() - ts;
+    if (diff < 3600000) return `${Math.round(diff / 60000)}m ago`;
+    if (diff < 86400000) return `${Math.round(diff / 3600000)}h ago`;
+    return `${Math.round(diff / 86400000)}d ago`;
+  }
 
-      console.info(`[Crime] FBI: Loading agencies for ${stateAbbr}…`);
-
-      /* 1) Fetch all agencies in this state */
-      const agUrl = `${FBI_BASE}/api/agencies/byStateAbbr/${stateAbbr}?API_KEY=${FBI_KEY}`;
-      const agResp = await fetch(agUrl);
-      if (!agResp.ok) throw new Error(`FBI agencies endpoint returned ${agResp.status}`);
-      const agData = await agResp.json();
-
-      /* The response may have different shapes depending on API version */
-      let agencies = Array.isArray(agData) ? agData : (agData?.results || agData?.data || []);
-
-      /* Filter to agencies with coordinates near the user (within ~15 km / ~9 mi) */
-      const MAX_DIST = 15000; /* metres */
-      const nearby = agencies.filter(a => {
-        const alat = parseFloat(a.latitude);
-        const alng = parseFloat(a.longitude);
-        if (isNaN(alat) || isNaN(alng)) return false;
-        const d = map.distance([pos.lat, pos.lng], [alat, alng]);
-        return d <= MAX_DIST;
-      }).slice(0, 30); /* cap for performance */
-
-      if (nearby.length === 0) {
-        console.info('[Crime] FBI: No agencies found within 15 km.');
-        crimeLoaded = true;
-        return;
-      }
+  /*
+   * Registry zones from `source` inside `bounds`, as incidents (one per
+   * incident id the zone holds, so re-registering them counts nothing
+   * twice), minus any already in `fresh`
+   */
+  function savedIncidents(source, bounds, fresh) {
+    const have = new Set(fresh.map(inc => _dangerKey(inc.lat, inc.lng)));
+    return Object.values(_dangerRegistry)
+      .filter(dz => dz.source === source && !have.has(dz.key) && bounds.contains([dz.lat, dz.lng]))
+      .flatMap(dz => Object.entries(dz.incidents).map(([id, timestamp]) => ({
+        id, lat: dz.lat, lng: dz.lng,
+        category: dz.category, label: dz.label, severity: dz.severity,
+        timestamp: timestamp || dz.timestamp, timeExact: dz.timeExact, source: dz.source
+      })));
+  }
 
-      crimeMarkers.forEach(m => m.remove());
-      crimeMarkers = [];
-
-      /* 2) For each nearby agency, place a marker and lazily load crime stats on click */
-      const currentYear = new Date().getFullYear();
-      /* FBI data is usually 1-2 years delayed; try recent years */
-      const dataYear = currentYear - 2;
-
-      for (const agency of nearby) {
-        const alat = parseFloat(agency.latitude);
-        const alng = parseFloat(agency.longitude);
-        const ori = agency.ori || agency.ORI || '';
-        const agencyName = agency.agency_name || agency.agency_type_name || 'Law Enforcement Agency';
-
-        const icon = L.divIcon({
-          className: 'crime-marker',
-          html: `<div style="
-            font-size:14px;width:30px;height:30px;
-            display:flex;align-items:center;justify-content:center;
-            background:rgba(20,20,34,0.92);
-            border:1.5px solid #EF535055;border-radius:50%;
-            box-shadow:0 0 10px rgba(239,83,80,0.35);
-          ">🚔</div>`,
-          iconSize: [30, 30], iconAnchor: [15, 15]
-        });
+  /*
+   * Replace the crime markers with `incidents` (normalised schema, see
+   * crime-providers.js) and persist them in the danger registry.  Every
+   * incident gets a marker; crimeCluster groups them by zoom.
+   * Returns the number of markers placed.
+   */
+  function renderIncidents(incidents) {
+    crimeCluster.clear();
+    crimeMarkers = [];
+
+    incidents.forEach(inc => {
+      if (isNaN(inc.lat) || isNaN(inc.lng)) return;
+      registerDangerZone(inc.lat, inc.lng, 200, inc.severity, {
+        id: inc.id,
+        label: inc.label,
+        category: inc.category,
+        timestamp: inc.timestamp,
+        timeExact: inc.timeExact,
+        source: inc.source
+      });
 
-        const marker = L.marker([alat, alng], { icon }).addTo(map);
+      const info = CrimeTaxonomy.get(inc.category);
 
-        /* On click — fetch crime stats for this specific agency */
-        marker.on('click', async () => {
-          const d = map.distance([pos.lat, pos.lng], [alat, alng]);
-          const distStr = d < 1000 ? `${Math.round(d)}m away` : `${(d / 1609.34).toFixed(1)} mi away`;
+      /* Ring and glow strengthen with the class severity */
+      const icon = L.divIcon({
+        className: 'crime-marker',
+        html: `<div style="
+          font-size:14px;width:28px;height:28px;
+          display:flex;align-items:center;justify-content:center;
+          background:rgba(20,20,34,0.92);
+          border:${inc.severity >= 4 ? 2 : 1.5}px solid ${info.color}${inc.severity >= 4 ? 'AA' : '55'};border-radius:50%;
+          box-shadow:0 0 ${4 + inc.severity * 2}px ${info.color}40;
+        ">${info.emoji}</div>`,
+        iconSize: [28, 28], iconAnchor: [14, 14]
+      });
 
-          /* Show agency name immediately while stats load */
-          showBottomSheet({
-            title: `🚔 ${agencyName}`,
-            desc: 'Loading FBI crime data…',
-            time: `${stateAbbr}`,
-            distance: distStr,
-            lat: alat, lng: alng,
-            routable: false
-          });
+      const marker = L.marker([inc.lat, inc.lng], { icon });
+      _incidentOf.set(marker, inc);
 
-          if (!ori) return;
-
-          /* Try to fetch summarized crime data for this agency */
-          try {
-            const statsUrl = `${FBI_BASE}/api/summarized/agency/${ori}/offenses/${dataYear}/${dataYear}?API_KEY=${FBI_KEY}`;
-            const statsResp = await fetch(statsUrl);
-            if (!statsResp.ok) throw new Error(statsResp.status);
-            const statsData = await statsResp.json();
-
-            const rows = Array.isArray(statsData) ? statsData : (statsData?.results || statsData?.data || []);
-            if (rows.length === 0) {
-              showBottomSheet({
-                title: `🚔 ${agencyName}`,
-                desc: `No detailed crime breakdown available for ${dataYear}. The agency may not have reported to the FBI UCR program this year.`,
-                time: stateAbbr,
-                distance: distStr,
-                lat: alat, lng: alng,
-                routable: false
-              });
-              return;
-            }
-
-            /* Build a human-readable summary from the offense rows */
-            const summary = buildFBICrimeSummary(rows, dataYear);
-            showBottomSheet({
-              title: `🚔 ${agencyName}`,
-              desc: summary,
-              time: `${dataYear} data · ${stateAbbr}`,
-              distance: distStr,
-              lat: alat, lng: alng,
-              routable: false
-            });
-          } catch (statsErr) {
-            /* Try state-level estimates as fallback */
-            try {
-              const estUrl = `${FBI_BASE}/api/estimates/states/${stateAbbr}/${dataYear}/${dataYear}?API_KEY=${FBI_KEY}`;
-              const estResp = await fetch(estUrl);
-              if (estResp.ok) {
-                const estData = await estResp.json();
-                const est = Array.isArray(estData) ? estData[0] : (estData?.results?.[0] || estData);
-                if (est) {
-                  showBottomSheet({
-                    title: `🚔 ${agencyName}`,
-                    desc: buildStateEstimateSummary(est, stateAbbr, dataYear),
-                    time: `${dataYear} state data · ${stateAbbr}`,
-                    distance: distStr,
-                    lat: alat, lng: alng,
-                    routable: false
-                  });
-                  return;
-                }
-              }
-              showBottomSheet({
-                title: `🚔 ${agencyName}`,
-                desc: 'Crime statistics temporarily unavailable for this agency.',
-                time: stateAbbr,
-                distance: distStr,
-                lat: alat, lng: alng,
-                routable: false
-              });
-            } catch {
-              /* already showing something, just leave it */
-            }
-          }
+      marker.on('click', async () => {
+        const userPos = getUserPosition();
+        const d = map.distance([userPos.lat, userPos.lng], [inc.lat, inc.lng]);
+        const distStr = d < 1000 ? `${Math.round(d)}m away` : `${(d / 1609.34).toFixed(1)} mi away`;
+        const title = `${info.emoji} ${inc.label.length > 40 ? inc.label.slice(0, 37) + '…' : inc.label}`;
+        const sheet = (details, timeLabel) => showBottomSheet({
+          title,
+          desc: details || '',
+          time: timeLabel || inc.timeLabel || (inc.timestamp ? formatIncidentAge(inc.timestamp) : 'Recent'),
+          distance: distStr,
+          lat: inc.lat, lng: inc.lng,
+          routable: false
         });
 
-        crimeMarkers.push(marker);
-
-        /* Persist this position in the danger registry */
-        registerDangerZone(alat, alng, 200, 4);
-      }
+        if (!inc.loadDetails) { sheet(inc.details); return; }
 
-      crimeLoaded = true;
-      console.info(`[Crime] FBI: ${crimeMarkers.length} agency markers placed for ${stateAbbr} (${Object.keys(_dangerRegistry).length} total in registry)`);
-    } catch (err) {
-      console.warn('[Crime] FBI API error:', err);
-      crimeLoaded = true;
-    }
-  }
+        /* Show what we have immediately while the details load */
+        sheet('Loading crime data…');
+        try {
+          const more = await inc.loadDetails();
+          sheet(more.details, more.timeLabel);
+        } catch {
+          /* already showing something, just leave it */
+        }
+      });
 
-  /* Format FBI agency offense rows into a readable string */
-  function buildFBICrimeSummary(rows, year) {
-    /* rows are typically objects with offense + actual/cleared counts */
-    const offenses = {};
-    rows.forEach(r => {
-      const name = r.offense || r.offense_name || r.key || 'Unknown';
-      const actual = r.actual || r.reported || r.value || 0;
-      const cleared = r.cleared || 0;
-      if (actual > 0) {
-        offenses[name] = (offenses[name] || 0) + actual;
-      }
+      crimeMarkers.push(crimeCluster.addMarker(marker, inc.severity));
     });
 
-    const entries = Object.entries(offenses)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 8);
-
-    if (entries.length === 0) return `No reported offenses for ${year}.`;
+    renderHeatmap();
+    return crimeMarkers.length;
+  }
 
-    const total = entries.reduce((s, [, v]) => s + v, 0);
-    const lines = entries.map(([k, v]) => {
-      const label = k.replace(/-|_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
-      return `${label}: ${v.toLocaleString()}`;
+  /* Several incidents recorded at one spot (common in anonymised UK data) */
+  function showIncidentStack(markers) {
+    const incs = markers.map(m => _incidentOf.get(m)).filter(Boolean);
+    if (incs.length === 0) return;
+    const counts = {};
+    incs.forEach(inc => { counts[inc.label] = (counts[inc.label] || 0) + 1; });
+    const newest = Math.max(...incs.map(inc => inc.timestamp || 0));
+    const userPos = getUserPosition();
+    const d = map.distance([userPos.lat, userPos.lng], [incs[0].lat, incs[0].lng]);
+    showBottomSheet({
+      title: `${incs.length} incidents here`,
+      desc: Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([label, n]) => n > 1 ? `${label} ×${n}` : label)
+        .join(' · '),
+      time: newest ? `Latest ${formatIncidentAge(newest)}` : 'Recent',
+      distance: d < 1000 ? `${Math.round(d)}m away` : `${(d / 1609.34).toFixed(1)} mi away`,
+      lat: incs[0].lat, lng: incs[0].lng,
+      routable: false
     });
+  }
 
-    return `${total.toLocaleString()} total reported offenses (${year}):\n${lines.join(' · ')}`;
+  /* ===== CRIME HEATMAP =====
+   * Kernel-density view of every incident in the registry.  Each zone is
+   * weighted by its class severity times its incidents from the last N
+   * days (the legend's slider).  FBI agency points summarise a whole jurisdiction,
+   * so they stay out of the density.  Off by default (layer 'heatmap').
+   * Below HEATMAP_MIN_ZOOM the 120 m kernels are specks and the view spans
+   * whole regions, so nothing is drawn. */
+  const HEATMAP_DAYS_KEY = 'leadinglight_heatmap_days';
+  const HEATMAP_DEFAULT_DAYS = 90;
+  const HEATMAP_MIN_ZOOM = 10;
+  let heatLayer = null;
+
+  function getHeatmapDays() {
+    const days = parseInt(localStorage.getItem(HEATMAP_DAYS_KEY), 10);
+    return Math.min(days > 0 ? days : HEATMAP_DEFAULT_DAYS, getRetentionDays());
   }
 
-  /* Format state estimate data */
-  function buildStateEstimateSummary(est, abbr, year) {
-    const parts = [];
-    if (est.violent_crime)      parts.push(`Violent crime: ${est.violent_crime.toLocaleString()}`);
-    if (est.homicide)           parts.push(`Homicide: ${est.homicide.toLocaleString()}`);
-    if (est.robbery)            parts.push(`Robbery: ${est.robbery.toLocaleString()}`);
-    if (est.aggravated_assault) parts.push(`Aggravated assault: ${est.aggravated_assault.toLocaleString()}`);
-    if (est.property_crime)     parts.push(`Property crime: ${est.property_crime.toLocaleString()}`);
-    if (est.burglary)           parts.push(`Burglary: ${est.burglary.toLocaleString()}`);
-    if (est.larceny)            parts.push(`Larceny: ${est.larceny.toLocaleString()}`);
-    if (est.motor_vehicle_theft) parts.push(`Vehicle theft: ${est.motor_vehicle_theft.toLocaleString()}`);
+  function setHeatmapDays(days) {
+    localStorage.setItem(HEATMAP_DAYS_KEY, String(Math.max(1, Math.round(days))));
+    renderHeatmap();
+  }
 
-    if (parts.length === 0) return `State-level crime estimates not available for ${abbr} (${year}).`;
+  function renderHeatmap() {
+    if (!map) return;
+    if (!isLayerOn('heatmap')) {
+      if (heatLayer) heatLayer.remove();
+      return;
+    }
+    if (!heatLayer) heatLayer = HeatLayer.create({ radiusM: 120, maxWeight: 5 });
+    if (!map.hasLayer(heatLayer)) heatLayer.addTo(map);
+    if (map.getZoom() < HEATMAP_MIN_ZOOM) {
+      heatLayer.setPoints([]);
+      return;
+    }
 
-    const pop = est.population ? ` (pop. ${est.population.toLocaleString()})` : '';
-    return `${abbr} statewide estimates${pop} — ${year}:\n${parts.join(' · ')}`;
+    /* A margin around the view keeps the edges right after a short pan */
+    const b = map.getBounds().pad(0.5);
+    const since = Date.now() - getHeatmapDays() * DAY_MS;
+    const points = [];
+    _zoneIndex.inBounds(b.getSouth(), b.getWest(), b.getNorth(), b.getEast()).forEach(dz => {
+      if (dz.source === SIMULATED_SOURCE || dz.category === 'agency') return;
+      const count = Object.values(dz.incidents).filter(t => !t || t >= since).length;
+      if (count > 0) points.push([dz.lat, dz.lng, dz.severity * count]);
+    });
+    heatLayer.setPoints(points);
   }
 
-  /* ===== SIMULATED CRIME HOTSPOTS ===== */
+  /* ===== SIMULATED CRIME HOTSPOTS (DEMO MODE) ===== */
   /*
    * Deterministic seeded random generator so hotspots are consistent
    * for any given area (same lat/lng grid cell → same hotspots).
-   * This replaces random safety scores with real geometry-based scoring.
+   * These are invented data: they are only shown, and only considered
+   * by routing, when demo mode is switched on in Settings — and even then
+   * never in an area where real crime data has been loaded.
    */
+  const DEMO_KEY = 'leadinglight_demo_data';
   let hotspotMarkers = [];
   let hotspotLayer = null;
   const _hotspotCache = {};  /* grid-key → hotspot[] */
 
+  function isDemoMode() {
+    return localStorage.getItem(DEMO_KEY) === '1';
+  }
+
+  function setDemoMode(on) {
+    localStorage.setItem(DEMO_KEY, on ? '1' : '0');
+    console.log(`[Map] Demo data ${on ? 'enabled' : 'disabled'}`);
+    updateDemoLegend();
+    if (map) renderHotspots();
+  }
+
+  function updateDemoLegend() {
+    const item = document.getElementById('legendDemo');
+    if (item) item.style.display = isDemoMode() ? '' : 'none';
+  }
+
   /* Simple seeded PRNG (mulberry32) */
   function seededRng(seed) {
     return function() {
@@ -1359,17 +1740,11 @@ const MapModule = (() => {
     return h;
   }
 
-  const HOTSPOT_TYPES = [
-    { type: 'theft',       emoji: '👜', label: 'Theft',              severity: 3, color: '#FFCA28' },
-    { type: 'assault',     emoji: '⚠️', label: 'Assault',            severity: 5, color: '#F44336' },
-    { type: 'robbery',     emoji: '💰', label: 'Robbery',            severity: 5, color: '#EF5350' },
-    { type: 'vandalism',   emoji: '🔨', label: 'Vandalism',          severity: 2, color: '#FF7043' },
-    { type: 'drugs',       emoji: '💊', label: 'Drug Activity',      severity: 3, color: '#AB47BC' },
-    { type: 'burglary',    emoji: '🏠', label: 'Burglary',           severity: 4, color: '#FF5722' },
-    { type: 'harassment',  emoji: '🚨', label: 'Harassment',         severity: 4, color: '#FF6F00' },
-    { type: 'auto_theft',  emoji: '🚗', label: 'Vehicle Theft',      severity: 3, color: '#FFA726' },
-    { type: 'disturbance', emoji: '🗣️', label: 'Public Disturbance', severity: 1, color: '#78909C' },
-    { type: 'weapons',     emoji: '🔪', label: 'Weapons Offense',    severity: 5, color: '#D32F2F' },
+  /* Crime classes the demo generator picks from (styling + severity come
+     from the shared taxonomy so demo zones weigh like real ones) */
+  const HOTSPOT_CLASSES = [
+    'theft', 'assault', 'robbery', 'vandalism', 'drugs',
+    'burglary', 'harassment', 'vehicle-crime', 'public-disorder', 'weapons'
   ];
 
   /* Generate hotspots for a grid cell (~0.01° ≈ 1km) */
@@ -1383,8 +1758,8 @@ const MapModule = (() => {
     for (let i = 0; i < count; i++) {
       const lat = cellLat + rng() * 0.01;
       const lng = cellLng + rng() * 0.01;
-      const typeIdx = Math.floor(rng() * HOTSPOT_TYPES.length);
-      const ht = HOTSPOT_TYPES[typeIdx];
+      const cls = HOTSPOT_CLASSES[Math.floor(rng() * HOTSPOT_CLASSES.length)];
+      const ht = { category: cls, ...CrimeTaxonomy.get(cls) };
       const recentCount = Math.floor(rng() * 8) + 1; /* 1-8 recent incidents */
       const radius = 40 + rng() * 120; /* 40-160 meter danger radius */
 
@@ -1423,10 +1798,11 @@ const MapModule = (() => {
   /* Show hotspot markers on the map */
   function renderHotspots() {
     /* Remove old */
-    hotspotMarkers.forEach(m => m.remove());
+    hotspotCluster.clear();
     hotspotMarkers = [];
     if (hotspotLayer) { hotspotLayer.remove(); hotspotLayer = null; }
 
+    if (!isDemoMode() || !isLayerOn('hotspots')) return;
     if (map.getZoom() < 14) return; /* only show when zoomed in */
 
     const bounds = map.getBounds();
@@ -1434,34 +1810,37 @@ const MapModule = (() => {
     const circles = [];
 
     hotspots.forEach(hs => {
-      /* Danger zone circle */
+      /* Danger zone circle — dashed so demo data never reads as real */
       circles.push(L.circle([hs.lat, hs.lng], {
         radius: hs.radius,
         color: hs.color,
         fillColor: hs.color,
-        fillOpacity: 0.10,
+        fillOpacity: 0.06,
         weight: 1,
-        opacity: 0.25,
+        opacity: 0.35,
+        dashArray: '4,4',
         interactive: false
       }));
 
-      /* Small marker */
+      /* Small marker with a DEMO tag */
       const icon = L.divIcon({
         className: 'crime-hotspot-marker',
         html: `<div style="
+          position:relative;
           font-size:14px;
           background:rgba(20,20,34,0.85);
-          border:1px solid ${hs.color}40;
+          border:1px dashed ${hs.color}80;
           border-radius:8px;
           padding:3px 5px;
           box-shadow:0 2px 8px rgba(0,0,0,0.4);
           cursor:pointer;
-        ">${hs.emoji}</div>`,
+          opacity:0.8;
+        ">${hs.emoji}<span class="crime-hotspot-marker__demo">DEMO</span></div>`,
         iconSize: [28, 28],
         iconAnchor: [14, 14]
       });
 
-      const marker = L.marker([hs.lat, hs.lng], { icon }).addTo(map);
+      const marker = L.marker([hs.lat, hs.lng], { icon });
       marker.on('click', () => {
         const userPos = getUserPosition();
         const dist = map.distance([userPos.lat, userPos.lng], [hs.lat, hs.lng]);
@@ -1469,16 +1848,16 @@ const MapModule = (() => {
         showBottomSheet({
           title: `${hs.emoji} ${hs.label}`,
           desc: `${hs.recentCount} incident${hs.recentCount > 1 ? 's' : ''} reported recently. Severity: ${'●'.repeat(hs.severity)}${'○'.repeat(5 - hs.severity)}`,
-          time: 'Simulated data',
+          time: 'Simulated demo data',
           distance: distStr,
           lat: hs.lat, lng: hs.lng,
           routable: false
         });
       });
-      hotspotMarkers.push(marker);
+      hotspotMarkers.push(hotspotCluster.addMarker(marker, hs.severity));
 
       /* Persist in the danger registry so routing always sees them */
-      registerDangerZone(hs.lat, hs.lng, hs.radius, hs.severity);
+      registerDangerZone(hs.lat, hs.lng, hs.radius, hs.severity, { label: hs.label, category: hs.category, source: SIMULATED_SOURCE });
     });
 
     if (circles.length > 0) {
@@ -1487,16 +1866,18 @@ const MapModule = (() => {
     }
   }
 
-  /* ===== DANGER ZONES — combined real + simulated ===== */
+  /* ===== DANGER ZONES — real data, simulated only as a demo fallback ===== */
   /**
-   * Return an array of { lat, lng, radius (meters), severity } covering
-   * both *real* crime markers and simulated hotspots.
+   * Return an array of { lat, lng, radius (meters), severity, source, … }
+   * for the routing engine.
+   *
+   * Real sources:
+   *  1. Non-simulated entries of the persistent _dangerRegistry
+   *  2. Current crimeMarkers array (belt-and-suspenders fallback)
    *
-   * Sources (in priority order):
-   *  1. The persistent _dangerRegistry (all markers ever loaded this session)
-   *  2. Simulated hotspots regenerated for the bounds (catches cells not yet
-   *     rendered on-screen but inside the route corridor)
-   *  3. Current crimeMarkers array (belt-and-suspenders fallback)
+   * Simulated hotspots (registry entries + regenerated cells for the
+   * bounds) are only added when demo mode is on AND no real zone falls
+   * inside the bounds — invented data never mixes with real data.
    *
    * @param {L.LatLngBounds} [bounds] — optional; defaults to current map view
    */
@@ -1504,46 +1885,110 @@ const MapModule = (() => {
     if (!bounds) bounds = map.getBounds();
     const zones = [];
     const seen = new Set();
+    evictExpiredZones();
 
-    /* 1. Persistent registry — already-loaded real + simulated */
-    Object.values(_dangerRegistry).forEach(dz => {
-      if (bounds.contains([dz.lat, dz.lng])) {
-        const k = _dangerKey(dz.lat, dz.lng);
-        seen.add(k);
+    /* 1. Persistent registry — real data only */
+    _zoneIndex.inBounds(bounds.getSouth(), bounds.getWest(), bounds.getNorth(), bounds.getEast()).forEach(dz => {
+      if (dz.source !== SIMULATED_SOURCE) {
+        seen.add(dz.key);
         zones.push(dz);
       }
     });
 
-    /* 2. Regenerate simulated hotspots for the requested bounds
-     *    (covers grid cells not yet visited / rendered)          */
-    const hotspots = getHotspotsForBounds(bounds);
-    hotspots.forEach(hs => {
-      const k = _dangerKey(hs.lat, hs.lng);
-      if (!seen.has(k)) {
-        seen.add(k);
-        zones.push({ lat: hs.lat, lng: hs.lng, radius: hs.radius, severity: hs.severity });
-      }
-    });
-
-    /* 3. Fallback — any live crimeMarkers not yet in the registry */
+    /* 2. Fallback — any live crimeMarkers not yet in the registry */
     crimeMarkers.forEach(m => {
       try {
         const ll = m.getLatLng();
         const k = _dangerKey(ll.lat, ll.lng);
         if (!seen.has(k) && bounds.contains(ll)) {
           seen.add(k);
-          zones.push({ lat: ll.lat, lng: ll.lng, radius: 200, severity: 3 });
+          zones.push({ key: k, lat: ll.lat, lng: ll.lng, radius: 200, severity: 3, label: 'Reported incident', source: 'unknown' });
         }
       } catch (_) { /* marker may have been removed */ }
     });
 
-    console.log(`[DangerZones] ${zones.length} zones returned (registry: ${Object.keys(_dangerRegistry).length}, regen: ${hotspots.length}, live markers: ${crimeMarkers.length})`);
+    const realCount = zones.length;
+
+    /* 3. Demo mode with no real coverage here — simulated hotspots for the
+     *    bounds (covers grid cells not yet visited / rendered)             */
+    let simCount = 0;
+    if (isDemoMode() && realCount === 0) {
+      getHotspotsForBounds(bounds).forEach(hs => {
+        const k = _dangerKey(hs.lat, hs.lng);
+        if (!seen.has(k)) {
+          seen.add(k);
+          zones.push({ key: k, lat: hs.lat, lng: hs.lng, radius: hs.radius, severity: hs.severity, label: hs.label, category: hs.category, source: SIMULATED_SOURCE });
+          simCount++;
+        }
+      });
+    }
+
+    console.log(`[DangerZones] ${zones.length} zones returned (real: ${realCount}, simulated: ${simCount}, demo mode: ${isDemoMode() ? 'on' : 'off'})`);
     return zones;
   }
 
-  /* Public: score a route's safety based on hotspot + real crime proximity */
-  function scoreRouteSafety(coords) {
-    if (!coords || coords.length === 0) return 85;
+  /*
+   * Darkness penalty per sample, applied only when the sample is reached
+   * after sunset.  A lit=no street alone is enough for a medium-risk
+   * stretch; streets with no lighting data mapped get a smaller nudge.
+   */
+  const DARK_UNLIT_PENALTY = 0.5;
+  const DARK_UNKNOWN_PENALTY = 0.1;
+  const DARK_ZONE = { key: 'dark', label: 'Unlit street', severity: 2 };
+  const UNMAPPED_LIGHT_ZONE = { key: 'dark-unknown', label: 'No lighting data', severity: 1 };
+
+  /**
+   * Break a route's safety down by segment.
+   * The route is sampled (~60 points); each segment runs from one sample to
+   * the next and carries the danger contributed by nearby zones.
+   *
+   * @param {Array} coords – [[lat,lng], …]
+   * @param {Object} [opts]
+   * @param {Date}   [opts.departAt]    – planned departure; enables time weighting
+   *                                       and the after-sunset darkness penalty
+   * @param {number} [opts.durationSec] – walk duration, to estimate when each
+   *                                       segment is reached
+   * @returns {{ score: number, segments: Array<{ from, to, danger, risk,
+   *            zones: Array<{ zone, contribution }>, haven }> }}
+   *          `from`/`to` are indices into `coords`; `haven` is the safe
+   *          haven covering that stretch, if any; `score` is the 15–98
+   *          safety score returned by scoreRouteSafety().
+   */
+  function analyzeRouteSafety(coords, opts) {
+    const prep = _prepareAnalysis(coords, opts);
+    if (!prep) return { score: 85, segments: [] };
+    return _finishAnalysis(prep, RouteScoring.zoneDanger(prep.samples, prep.zones));
+  }
+
+  function scoreRouteSafety(coords, opts) {
+    return analyzeRouteSafety(coords, opts).score;
+  }
+
+  /**
+   * Same as analyzeRouteSafety, but the zone scoring runs in the scoring
+   * worker so ranking many candidates doesn't block the UI.  Falls back to
+   * the main thread where workers are unavailable or the worker fails.
+   */
+  async function analyzeRouteSafetyAsync(coords, opts) {
+    const prep = _prepareAnalysis(coords, opts);
+    if (!prep) return { score: 85, segments: [] };
+    let dangers;
+    try {
+      dangers = await _zoneDangerInWorker(prep.samples, prep.zones);
+    } catch (err) {
+      console.warn('[Scoring] Worker unavailable, scoring on the main thread:', err.message);
+      dangers = RouteScoring.zoneDanger(prep.samples, prep.zones);
+    }
+    return _finishAnalysis(prep, dangers);
+  }
+
+  async function scoreRouteSafetyAsync(coords, opts) {
+    return (await analyzeRouteSafetyAsync(coords, opts)).score;
+  }
+
+  /* Zones, havens and the ~60 timed samples a route is scored on */
+  function _prepareAnalysis(coords, opts) {
+    if (!coords || coords.length === 0) return null;
 
     /* Build a bounding box around the route */
     const lats = coords.map(c => c[0]);
@@ -1553,28 +1998,119 @@ const MapModule = (() => {
       [Math.max(...lats) + 0.005, Math.max(...lngs) + 0.005]
     );
 
-    /* Use combined danger zones (real + simulated) */
-    const zones = getDangerZones(bounds);
-    let dangerScore = 0;
-
-    /* Sample every 5th coord to keep it fast */
+    /* Sample ~60 coords to keep it fast */
     const step = Math.max(1, Math.floor(coords.length / 60));
+    const departMs = opts?.departAt ? opts.departAt.getTime() : null;
+    const samples = [];
     for (let i = 0; i < coords.length; i += step) {
       const [lat, lng] = coords[i];
-      for (const z of zones) {
-        const d = quickDist(lat, lng, z.lat, z.lng);
-        const dangerRadius = z.radius / 111320; /* meters → degrees approx */
-        if (d < dangerRadius * 2) {
-          const proximity = 1 - Math.min(d / (dangerRadius * 2), 1);
-          const incidents = z.recentCount || 1;
-          dangerScore += proximity * z.severity * incidents * 0.4;
+      const when = departMs === null ? null
+        : departMs + (opts.durationSec || 0) * 1000 * (i / coords.length);
+      samples.push({ lat, lng, when, from: i, to: Math.min(i + step, coords.length - 1) });
+    }
+
+    /* Use combined danger zones (real + simulated) */
+    return { samples, zones: getDangerZones(bounds), havens: getHavens(bounds) };
+  }
+
+  /* Add lighting and safe havens to the per-sample zone danger, then score */
+  function _finishAnalysis({ samples, zones, havens }, dangers) {
+    const segments = [];
+    let dangerScore = 0;
+    let havenCover = 0;
+
+    samples.forEach(({ lat, lng, when: whenMs, from, to }, s) => {
+      const when = whenMs === null ? null : new Date(whenMs);
+      let danger = dangers[s].danger;
+      const contributors = dangers[s].contributors.map(([idx, contribution]) => ({ zone: zones[idx], contribution }));
+      /* After sunset, unlit streets count against the route */
+      if (when && isDark(when, lat, lng)) {
+        const light = lightingAt(lat, lng);
+        const penalty = light === 'unlit' ? DARK_UNLIT_PENALTY : light === 'unknown' ? DARK_UNKNOWN_PENALTY : 0;
+        if (penalty > 0) {
+          danger += penalty;
+          contributors.push({ zone: light === 'unlit' ? DARK_ZONE : UNMAPPED_LIGHT_ZONE, contribution: penalty });
         }
       }
+      /* Nearby safe havens: open ones count fully, unknown hours half */
+      let cover = 0, haven = null;
+      for (const h of havens) {
+        const dm = quickDist(lat, lng, h.lat, h.lng) * 111320;
+        if (dm >= HAVEN_REACH_M) continue;
+        const open = havenOpenState(h, when);
+        if (open === false) continue;
+        const c = (open ? 1 : 0.5) * (1 - dm / HAVEN_REACH_M);
+        if (c > cover) { cover = c; haven = h; }
+      }
+      dangerScore += danger;
+      havenCover += cover;
+      segments.push({
+        from,
+        to,
+        danger,
+        risk: RouteScoring.segmentRisk(danger),
+        zones: contributors,
+        haven
+      });
+    });
+
+    /* Convert danger score → safety score (0-100), plus up to
+       HAVEN_MAX_BONUS for a route lined with open safe havens */
+    const havenBonus = HAVEN_MAX_BONUS * havenCover / segments.length;
+    const score = Math.max(15, Math.min(98, Math.round(90 - dangerScore + havenBonus)));
+    return { score, segments };
+  }
+
+  /* ===== SCORING WORKER ===== */
+  const SCORING_TIMEOUT_MS = 10000;
+  let _scoringWorker = null;      /* Worker, or false once it has failed */
+  let _scoringSeq = 0;
+  const _scoringJobs = new Map(); /* id → { resolve, reject, timer } */
+
+  function _getScoringWorker() {
+    if (_scoringWorker !== null) return _scoringWorker;
+    if (typeof Worker === 'undefined') return (_scoringWorker = false);
+    try {
+      _scoringWorker = new Worker('js/scoring-worker.js');
+    } catch (err) {
+      console.warn('[Scoring] Could not start the worker:', err);
+      return (_scoringWorker = false);
     }
+    _scoringWorker.onmessage = (e) => {
+      const job = _scoringJobs.get(e.data.id);
+      if (!job) return;
+      _scoringJobs.delete(e.data.id);
+      clearTimeout(job.timer);
+      if (e.data.error) job.reject(new Error(e.data.error));
+      else job.resolve(e.data.dangers);
+    };
+    _scoringWorker.onerror = (e) => {
+      /* A broken worker stays broken — fail pending jobs and stop using it */
+      _scoringWorker.terminate();
+      _scoringWorker = false;
+      _scoringJobs.forEach(job => { clearTimeout(job.timer); job.reject(new Error(e.message || 'worker error')); });
+      _scoringJobs.clear();
+    };
+    return _scoringWorker;
+  }
 
-    /* Convert danger score → safety score (0-100) */
-    const safety = Math.max(15, Math.min(98, Math.round(90 - dangerScore)));
-    return safety;
+  function _zoneDangerInWorker(samples, zones) {
+    const worker = _getScoringWorker();
+    if (!worker) return Promise.reject(new Error('no worker'));
+    const id = ++_scoringSeq;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        _scoringJobs.delete(id);
+        reject(new Error('timed out'));
+      }, SCORING_TIMEOUT_MS);
+      _scoringJobs.set(id, { resolve, reject, timer });
+      worker.postMessage({
+        id,
+        samples: samples.map(({ lat, lng, when }) => ({ lat, lng, when })),
+        zones: zones.map(({ lat, lng, radius, severity, timestamp, timeExact, recentCount }) =>
+          ({ lat, lng, radius, severity, timestamp, timeExact, recentCount }))
+      });
+    });
   }
 
   /* Fast approximate distance in degrees */
@@ -1592,6 +2128,23 @@ const MapModule = (() => {
     return userMarker ? userMarker.getLatLng() : { lat: DEFAULT_CENTER[0], lng: DEFAULT_CENTER[1] };
   }
 
+  /** The last GPS fix, or null while the position is only a guess */
+  function getUserFix() {
+    return userFixed ? { lat: userLatLng[0], lng: userLatLng[1] } : null;
+  }
+
+  /**
+   * Subscribe to GPS fixes (initial fix + every watchPosition update).
+   * Returns an unsubscribe function.
+   */
+  function onPositionChange(fn) {
+    _positionListeners.push(fn);
+    return () => {
+      const i = _positionListeners.indexOf(fn);
+      if (i !== -1) _positionListeners.splice(i, 1);
+    };
+  }
+
   function flyTo(latlng, zoom) {
     map.flyTo(latlng, zoom || DEFAULT_ZOOM, { duration: 1 });
   }
@@ -1605,10 +2158,16 @@ const MapModule = (() => {
   }
 
   return {
-    init, locateUser, goHome, getMap, getUserPosition,
+    init, locateUser, goHome, getMap, getUserPosition, getUserFix, onPositionChange,
     addReportMarker, flyTo, setDestination, clearDestination,
     showBottomSheet, hideBottomSheet,
-    scoreRouteSafety, getHotspotsForBounds, getDangerZones, renderHotspots
+    scoreRouteSafety, analyzeRouteSafety, scoreRouteSafetyAsync, analyzeRouteSafetyAsync,
+    getHotspotsForBounds, getDangerZones, renderHotspots,
+    isDemoMode, setDemoMode,
+    recencyWeight: RouteScoring.recencyWeight, getRetentionDays, setRetentionDays,
+    isLayerOn, setLayerOn, getHeatmapDays, setHeatmapDays,
+    loadLightingForBounds, lightingAt, nearestLitPoint, isDark,
+    loadHavensForBounds, nearestHaven, getBaseFeatures
   };
 })();
 
@@ -0,0 +1,125 @@
+/* ===== marker-cluster.js — Zoom-Dependent Marker Clustering ===== */
+
+/*
+ * One cluster group per map layer (crime, reports, POIs, demo hotspots).
+ * Markers are handed to the group instead of the map; on every moveend the
+ * group buckets the markers in view into a pixel grid anchored to the world
+ * (so clusters don't jump while panning) and shows either the lone marker
+ * or a count badge coloured by the worst severity inside it.
+ *
+ * Tapping a badge zooms to its members.  From `tightFromZoom` on, only
+ * markers a few pixels apart still group; a stack that can't be split by
+ * zooming (same spot) is handed to `onStack`, or opens its first marker.
+ */
+
+const MarkerCluster = (() => {
+  /* Badge colour by worst severity (CrimeTaxonomy 1–5; 0 = no severity, e.g. POIs) */
+  const SEVERITY_COLORS = ['#6C63FF', '#78909C', '#FFA000', '#FB8C00', '#F44336', '#B71C1C'];
+  const TIGHT_RADIUS_PX = 14;
+  const SAME_SPOT_M = 5;
+
+  /**
+   * @param {Object} [opts]
+   * @param {number}   [opts.radiusPx=60]       – grid cell size in pixels
+   * @param {number}   [opts.tightFromZoom=17]  – zoom from which only near-identical markers group
+   * @param {Function} [opts.onStack]           – (markers) => void for stacks on one spot
+   */
+  function create(opts) {
+    const radiusPx = opts?.radiusPx || 60;
+    const tightFromZoom = opts?.tightFromZoom || 17;
+    const members = new Map();   /* marker → severity */
+    const shown = L.layerGroup();
+    let map = null;
+    let pending = false;
+
+    function addTo(m) {
+      if (map === m) return group;
+      map = m;
+      shown.addTo(map);
+      map.on('moveend', refresh);
+      refresh();
+      return group;
+    }
+
+    /* Take the layer off the map; markers are kept for the next addTo */
+    function remove() {
+      if (!map) return group;
+      map.off('moveend', refresh);
+      shown.remove();
+      map = null;
+      return group;
+    }
+
+    function addMarker(marker, severity) {
+      members.set(marker, severity || 0);
+      /* Batch a loop of additions into one refresh */
+      if (!pending) {
+        pending = true;
+        Promise.resolve().then(() => { pending = false; refresh(); });
+      }
+      return marker;
+    }
+
+    function clear() {
+      members.clear();
+      shown.clearLayers();
+    }
+
+    function refresh() {
+      if (!map) return;
+      shown.clearLayers();
+      const zoom = map.getZoom();
+      const r = zoom >= tightFromZoom ? TIGHT_RADIUS_PX : radiusPx;
+      const view = map.getBounds().pad(0.25);
+      const cells = new Map();
+
+      members.forEach((severity, marker) => {
+        const ll = marker.getLatLng();
+        if (!view.contains(ll)) return;
+        const p = map.project(ll, zoom);
+        const k = `${Math.floor(p.x / r)}_${Math.floor(p.y / r)}`;
+        if (!cells.has(k)) cells.set(k, []);
+        cells.get(k).push({ marker, severity, ll });
+      });
+
+      cells.forEach(list => {
+        shown.addLayer(list.length === 1 ? list[0].marker : clusterMarker(list));
+      });
+    }
+
+    function clusterMarker(list) {
+      const worst = Math.max(...list.map(m => m.severity));
+      const color = SEVERITY_COLORS[Math.min(worst, SEVERITY_COLORS.length - 1)];
+      const lat = list.reduce((s, m) => s + m.ll.lat, 0) / list.length;
+      const lng = list.reduce((s, m) => s + m.ll.lng, 0) / list.length;
+      const size = list.length < 10 ? 30 : list.length < 100 ? 36 : 42;
+
+      const icon = L.divIcon({
+        className: 'marker-cluster',
+        html: `<div class="marker-cluster__badge" style="width:${size}px;height:${size}px;border-color:${color};box-shadow:0 0 10px ${color}66">${list.length}</div>`,
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2]
+      });
+      const badge = L.marker([lat, lng], { icon, zIndexOffset: 100 + worst * 10 });
+      badge.on('click', () => expand(list));
+      return badge;
+    }
+
+    /* Zoom in to split the cluster, or hand over a stack on one spot */
+    function expand(list) {
+      const bounds = L.latLngBounds(list.map(m => m.ll));
+      const sameSpot = map.distance(bounds.getSouthWest(), bounds.getNorthEast()) < SAME_SPOT_M;
+      if (sameSpot || map.getZoom() >= map.getMaxZoom()) {
+        if (opts?.onStack) opts.onStack(list.map(m => m.marker));
+        else list[0].marker.fire('click');
+        return;
+      }
+      map.flyToBounds(bounds, { padding: [48, 48], duration: 0.6 });
+    }
+
+    const group = { addTo, remove, addMarker, clear, refresh };
+    return group;
+  }
+
+  return { create };
+})();
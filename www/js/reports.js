@@ -77,7 +77,8 @@ const ReportsModule = (() => {
     MapModule.addReportMarker(
       [pos.lat + (Math.random() - 0.5) * 0.002, pos.lng + (Math.random() - 0.5) * 0.002],
       cat.label,
-      cat.emoji
+      cat.emoji,
+      category
     );
 
     console.log('[Report] Category:', cat.label, 'Location:', pos);
@@ -0,0 +1,303 @@
+/* ===== route-preferences.js — Route Preference Profiles ===== */
+
+/*
+ * Optional per-trip preferences on top of safety ranking, picked in the
+ * route panel.  Each profile penalises OSM features it dislikes:
+ *
+ *   main-roads         minor streets, alleys and paths cost more
+ *   avoid-parks        walking through parks and woods (after dark only)
+ *   avoid-underpasses  tunnels, covered passages and railway crossings
+ *   step-free          steps, raised kerbs, steep inclines, rough surfaces
+ *                      and ways tagged wheelchair=no (wheelchair mode)
+ *
+ * prepare() turns the chosen profiles plus the base-map green spaces and
+ * railways of the trip's area (MapModule.getBaseFeatures) into a matcher.
+ * Safety routing (graph-router.js) multiplies each edge's cost by
+ * edgeFactor(); every candidate route is also assessed as a whole, which
+ * is all the via-point detour mode can use.  The router's routes carry no
+ * tags to tell a bridge from a level crossing, so there only the park
+ * profile has an effect.  Safety routing first tries to avoid
+ * the ways barriers() names altogether; when there is no way round, the
+ * barriers crossed are listed in the directions.
+ *
+ * Profiles can be switched on for every new trip (setDefault); the
+ * wheelchair setting uses that for step-free.
+ */
+
+const RoutePreferences = (() => {
+  const DEFAULTS_KEY = 'leadinglight_route_prefs';
+
+  const PROFILES = [
+    { id: 'main-roads', label: 'Prefer main roads' },
+    { id: 'avoid-parks', label: 'Avoid parks after dark', nightOnly: true, layers: ['green'] },
+    { id: 'avoid-underpasses', label: 'Avoid underpasses & rail crossings', layers: ['railways'] },
+    { id: 'step-free', label: 'Step-free / wheelchair' }
+  ];
+
+  /* Edge cost multipliers */
+  const MAIN_ROAD_FACTORS = {
+    primary: 1, primary_link: 1, secondary: 1, secondary_link: 1, tertiary: 1, tertiary_link: 1,
+    pedestrian: 1, living_street: 1.2, residential: 1.3, unclassified: 1.3, road: 1.3,
+    service: 1.6, footway: 2, path: 2.5, cycleway: 2, track: 2.5, steps: 2
+  };
+  const ALLEY_FACTOR = 2.5;
+  const PARK_FACTOR = 4;
+  const UNDERPASS_FACTOR = 5;
+
+  /* Step-free: barriers cost this much more to walk (or roll) over */
+  const BARRIER_FACTOR = 50;
+  const KERBS = {
+    raised: { label: 'Raised kerb', factor: 10, barrier: true },
+    yes:    { label: 'Kerb of unknown height', factor: 5 },
+    rolled: { label: 'Rolled kerb', factor: 1.5 }
+  };
+  const STEEP_INCLINE_PCT = 8;        /* ADA ramps max out at 1:12 ≈ 8 % */
+  const MODERATE_INCLINE_PCT = 5;
+  const ROUGH_SURFACES = /^(cobblestone|unhewn_cobblestone|sett|gravel|pebblestone|unpaved|dirt|earth|ground|grass|sand|mud|woodchips|rock|stepping_stones)$/;
+  const BAD_SMOOTHNESS = /^(very_bad|horrible|very_horrible|impassable)$/;
+
+  /* Whole-route penalties, in safety-score points */
+  const PARK_PENALTY_PER_M = 0.05;
+  const MAX_PARK_PENALTY = 25;
+  const CROSSING_PENALTY = 10;
+  const MAX_CROSSING_PENALTY = 30;
+  const CROSSING_MERGE_M = 20;        /* crossings closer than this are one (shared nodes, double track) */
+
+  const CELL_DEG = 0.005;
+  const M_PER_DEG = 111320;
+
+  /** Profile ids switched on for every new trip */
+  function getDefaults() {
+    try {
+      const ids = JSON.parse(localStorage.getItem(DEFAULTS_KEY)) || [];
+      return ids.filter(id => PROFILES.some(p => p.id === id));
+    } catch { return []; }
+  }
+
+  function setDefault(id, on) {
+    const ids = getDefaults().filter(i => i !== id);
+    if (on) ids.push(id);
+    localStorage.setItem(DEFAULTS_KEY, JSON.stringify(ids));
+    return ids;
+  }
+
+  /** Profiles from `ids` that apply to a walk, dropping night-only ones by day */
+  function active(ids, night) {
+    return PROFILES
+      .filter(p => ids.includes(p.id) && (night || !p.nightOnly))
+      .map(p => p.id);
+  }
+
+  /** Base-map layers the given profiles need */
+  function layersFor(ids) {
+    return [...new Set(PROFILES.filter(p => ids.includes(p.id)).flatMap(p => p.layers || []))];
+  }
+
+  /* ===== ACCESSIBILITY ===== */
+
+  /* Percent grade of an OSM incline value, or null for "up" / "down" / unknown */
+  function inclinePct(v) {
+    const m = /^(-?\d+(?:\.\d+)?)\s*(%|°)?$/.exec(String(v || '').trim());
+    if (!m) return null;
+    const n = Math.abs(parseFloat(m[1]));
+    return m[2] === '°' ? Math.tan(n * Math.PI / 180) * 100 : n;
+  }
+
+  /*
+   * Wheelchair issues of a way (`tags`) and the kerbs at its ends, as
+   * [{ label, factor, barrier? }] — empty when the way is fine.  Barriers
+   * are what a wheelchair can't be expected to get past at all; the rest
+   * only make a way slower or harder going.
+   */
+  function accessIssues(tags, kerbs) {
+    const issues = [];
+    if (tags.highway === 'steps') issues.push({ label: 'Steps', factor: BARRIER_FACTOR, barrier: true });
+    else if (tags.wheelchair === 'no') issues.push({ label: 'Not wheelchair accessible', factor: BARRIER_FACTOR, barrier: true });
+    else if (tags.wheelchair === 'limited') issues.push({ label: 'Limited wheelchair access', factor: 2 });
+
+    const pct = inclinePct(tags.incline);
+    if (pct !== null && pct > STEEP_INCLINE_PCT) issues.push({ label: `Steep incline (${Math.round(pct)} %)`, factor: 10, barrier: true });
+    else if (pct !== null && pct > MODERATE_INCLINE_PCT) issues.push({ label: `Incline (${Math.round(pct)} %)`, factor: 2 });
+
+    if (BAD_SMOOTHNESS.test(tags.smoothness || '')) issues.push({ label: 'Very uneven surface', factor: 10, barrier: true });
+    else if (ROUGH_SURFACES.test(tags.surface || '')) issues.push({ label: `Rough surface (${tags.surface.replace(/_/g, ' ')})`, factor: 3 });
+
+    (kerbs || []).forEach(k => { if (KERBS[k]) issues.push(KERBS[k]); });
+    return issues;
+  }
+
+  /* ===== GEOMETRY ===== */
+
+  function isPark(tags) {
+    return /^(park|garden|nature_reserve)$/.test(tags.leisure || '') ||
+           /^(forest|recreation_ground)$/.test(tags.landuse || '') ||
+           tags.natural === 'wood';
+  }
+
+  function isYes(v) {
+    return !!v && v !== 'no';
+  }
+
+  /* Grid of CELL_DEG cells → items whose bounding box touches the cell */
+  function gridIndex(items, boxOf) {
+    const grid = new Map();
+    items.forEach(item => {
+      const [s, w, n, e] = boxOf(item);
+      for (let y = Math.floor(s / CELL_DEG); y <= Math.floor(n / CELL_DEG); y++) {
+        for (let x = Math.floor(w / CELL_DEG); x <= Math.floor(e / CELL_DEG); x++) {
+          const k = `${y}_${x}`;
+          if (!grid.has(k)) grid.set(k, []);
+          grid.get(k).push(item);
+        }
+      }
+    });
+    return grid;
+  }
+
+  function cellAt(grid, lat, lng) {
+    return grid.get(`${Math.floor(lat / CELL_DEG)}_${Math.floor(lng / CELL_DEG)}`) || [];
+  }
+
+  function boxOfCoords(coords) {
+    const lats = coords.map(c => c[0]), lngs = coords.map(c => c[1]);
+    return [Math.min(...lats), Math.min(...lngs), Math.max(...lats), Math.max(...lngs)];
+  }
+
+  /* Ray casting over a ring of [lat, lng] */
+  function inRing(ring, lat, lng) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [yi, xi] = ring[i], [yj, xj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+  }
+
+  function orient(ay, ax, by, bx, cy, cx) {
+    return Math.sign((bx - ax) * (cy - ay) - (by - ay) * (cx - ax));
+  }
+
+  /* Where segment a1–a2 crosses or touches b1–b2, as [lat, lng], or null */
+  function segmentCrossing(a1, a2, b1, b2) {
+    if (orient(a1[0], a1[1], a2[0], a2[1], b1[0], b1[1]) === orient(a1[0], a1[1], a2[0], a2[1], b2[0], b2[1]) ||
+        orient(b1[0], b1[1], b2[0], b2[1], a1[0], a1[1]) === orient(b1[0], b1[1], b2[0], b2[1], a2[0], a2[1])) return null;
+    const dy = a2[0] - a1[0], dx = a2[1] - a1[1];
+    const ey = b2[0] - b1[0], ex = b2[1] - b1[1];
+    /* The orientation test rules out parallel segments, so this never divides by zero */
+    const t = ((b1[1] - a1[1]) * ey - (b1[0] - a1[0]) * ex) / (dx * ey - dy * ex);
+    return [a1[0] + t * dy, a1[1] + t * dx];
+  }
+
+  function segLength(a, b) {
+    const dlat = a[0] - b[0];
+    const dlng = (a[1] - b[1]) * Math.cos(a[0] * Math.PI / 180);
+    return Math.sqrt(dlat * dlat + dlng * dlng) * M_PER_DEG;
+  }
+
+  /* ===== MATCHER ===== */
+
+  /**
+   * Build the matcher for a set of active profile ids.
+   * @param {string[]} ids – from active()
+   * @param {Object} [features]
+   * @param {Array} [features.parks]    – base-map 'green' features { tags, coords }
+   * @param {Array} [features.railways] – base-map 'railways' features
+   * @returns {{ ids, edgeFactor, assess, barriers }}
+   */
+  function prepare(ids, features) {
+    const has = id => ids.includes(id);
+
+    /* Closed park outlines only; relation members that don't close are skipped */
+    const parks = has('avoid-parks')
+      ? (features?.parks || []).filter(f => isPark(f.tags) && f.coords.length >= 4 &&
+          f.coords[0][0] === f.coords[f.coords.length - 1][0] && f.coords[0][1] === f.coords[f.coords.length - 1][1])
+      : [];
+    const parkGrid = gridIndex(parks, f => boxOfCoords(f.coords));
+
+    /* A railway in a tunnel runs under the walker, so only surface and raised track count */
+    const railSegs = [];
+    if (has('avoid-underpasses')) {
+      (features?.railways || []).forEach(f => {
+        if (isYes(f.tags.tunnel)) return;
+        for (let i = 0; i < f.coords.length - 1; i++) railSegs.push([f.coords[i], f.coords[i + 1]]);
+      });
+    }
+    const railGrid = gridIndex(railSegs, ([a, b]) => boxOfCoords([a, b]));
+
+    function inPark(lat, lng) {
+      return cellAt(parkGrid, lat, lng).some(f => inRing(f.coords, lat, lng));
+    }
+
+    /*
+     * Points where a to b crosses a railway, checked in the cells of both
+     * ends.  A walk through a level-crossing node touches every track
+     * segment meeting there; callers merge points within CROSSING_MERGE_M.
+     */
+    function railCrossings(a, b) {
+      const near = new Set([...cellAt(railGrid, a[0], a[1]), ...cellAt(railGrid, b[0], b[1])]);
+      const points = [];
+      near.forEach(([r1, r2]) => {
+        const p = segmentCrossing(a, b, r1, r2);
+        if (p) points.push(p);
+      });
+      return points;
+    }
+
+    /**
+     * Cost multiplier for walking the way `tags` from a to b ([lat, lng]);
+     * `kerbs` are the kerb values of the nodes at its ends, if any.
+     */
+    function edgeFactor(tags, a, b, kerbs) {
+      let f = 1;
+      /* Sidewalks are mapped as footways but run along their road */
+      if (has('main-roads') && tags.footway !== 'sidewalk') {
+        f *= tags.service === 'alley' ? ALLEY_FACTOR : (MAIN_ROAD_FACTORS[tags.highway] || 1.3);
+      }
+      if (has('step-free')) accessIssues(tags, kerbs).forEach(i => { f *= i.factor; });
+      if (has('avoid-underpasses')) {
+        if (isYes(tags.tunnel) || isYes(tags.covered)) f *= UNDERPASS_FACTOR;
+        else if (!isYes(tags.bridge) && railCrossings(a, b).length > 0) f *= UNDERPASS_FACTOR;
+      }
+      if (parks.length > 0 && inPark((a[0] + b[0]) / 2, (a[1] + b[1]) / 2)) f *= PARK_FACTOR;
+      return f;
+    }
+
+    /**
+     * Whole-route check for `coords` ([[lat, lng], …]): a safety-score
+     * penalty and short notes for the route card.  Railway crossings are
+     * only counted for routes planned over OSM ways (`opts.tagged`), which
+     * already steer clear of level crossings edge by edge; on the router's
+     * geometry every footbridge would be counted as one.
+     */
+    function assess(coords, opts) {
+      let parkM = 0;
+      const crossed = [];
+      for (let i = 0; i < coords.length - 1; i++) {
+        const a = coords[i], b = coords[i + 1];
+        if (parks.length > 0 && inPark((a[0] + b[0]) / 2, (a[1] + b[1]) / 2)) parkM += segLength(a, b);
+        if (railSegs.length > 0 && opts?.tagged) {
+          railCrossings(a, b).forEach(p => {
+            if (!crossed.some(q => segLength(p, q) < CROSSING_MERGE_M)) crossed.push(p);
+          });
+        }
+      }
+      const crossings = crossed.length;
+      const notes = [];
+      if (parkM >= 50) notes.push(`${Math.round(parkM / 10) * 10} m through parks`);
+      if (crossings > 0) notes.push(crossings === 1 ? 'Crosses a railway' : `Crosses railways ${crossings}×`);
+      const penalty = Math.min(MAX_PARK_PENALTY, parkM * PARK_PENALTY_PER_M) +
+                      Math.min(MAX_CROSSING_PENALTY, crossings * CROSSING_PENALTY);
+      return { penalty, notes };
+    }
+
+    /** Barriers a step-free walker meets on this way (labels; empty when passable) */
+    function barriers(tags, kerbs) {
+      if (!has('step-free')) return [];
+      return accessIssues(tags, kerbs).filter(i => i.barrier).map(i => i.label);
+    }
+
+    return { ids, edgeFactor, assess, barriers };
+  }
+
+  return { PROFILES, getDefaults, setDefault, active, layersFor, prepare };
+})();
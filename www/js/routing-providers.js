@@ -0,0 +1,316 @@
+/* ===== routing-providers.js — Pluggable Routing Backends ===== */
+
+/*
+ * Every provider exposes the same interface:
+ *
+ *   route({ origin, destination, via, alternatives, timeoutMs, prefs }, config)
+ *     → Promise<{ routes: Route[] }>
+ *
+ * `prefs` is the trip's RoutePreferences matcher, if any; only providers
+ * that see OSM tags (the offline graph) can use it, the rest ignore it.
+ *
+ * and normalises its response into the OSRM route shape the rest of the
+ * app already consumes:
+ *
+ *   Route = { distance (m), duration (s),
+ *             geometry: { coordinates: [[lng, lat], …] },
+ *             legs: [{ distance, duration,
+ *                      steps: [{ name, distance, duration,
+ *                                maneuver: { type, modifier, location: [lng, lat] } }] }] }
+ *
+ * The active provider and its base URL live in localStorage so a local
+ * OSRM / Valhalla / GraphHopper (or a canned-response stub) can be used in
+ * development and tests without touching code.
+ *
+ * When the provider can't be reached and the trip lies inside a saved
+ * offline area, route() falls back to the 'offline' provider
+ * (offline-router.js); its result is flagged { offline: true }.
+ */
+
+const RoutingProviders = (() => {
+  const CONFIG_KEY = 'leadinglight_routing';
+
+  const DEFAULT_BASE_URLS = {
+    osrm:        'https://router.project-osrm.org',
+    valhalla:    'https://valhalla1.openstreetmap.de',
+    graphhopper: 'https://graphhopper.com/api/1'
+  };
+
+  const DEFAULT_PROFILES = {
+    osrm:        'foot',
+    valhalla:    'pedestrian',
+    graphhopper: 'foot'
+  };
+
+  const providers = {};
+
+  /* ===== CONFIG ===== */
+  function getConfig() {
+    let stored = {};
+    try { stored = JSON.parse(localStorage.getItem(CONFIG_KEY)) || {}; } catch { stored = {}; }
+    const provider = providers[stored.provider] ? stored.provider : 'osrm';
+    return {
+      provider,
+      baseUrl: (stored.baseUrl || DEFAULT_BASE_URLS[provider] || '').replace(/\/+$/, ''),
+      profile: stored.profile || DEFAULT_PROFILES[provider] || 'foot',
+      apiKey: stored.apiKey || ''
+    };
+  }
+
+  /**
+   * Persist routing settings, e.g.
+   *   setConfig({ provider: 'valhalla', baseUrl: 'http://localhost:8002' })
+   * Pass `null` to restore the defaults.
+   */
+  function setConfig(cfg) {
+    if (cfg === null) {
+      localStorage.removeItem(CONFIG_KEY);
+      return getConfig();
+    }
+    let stored = {};
+    try { stored = JSON.parse(localStorage.getItem(CONFIG_KEY)) || {}; } catch { stored = {}; }
+    const next = { ...stored, ...cfg };
+    /* Switching provider without a URL should not keep the old provider's URL */
+    if (cfg.provider && cfg.provider !== stored.provider && !cfg.baseUrl) delete next.baseUrl;
+    if (cfg.provider && cfg.provider !== stored.provider && !cfg.profile) delete next.profile;
+    localStorage.setItem(CONFIG_KEY, JSON.stringify(next));
+    return getConfig();
+  }
+
+  function register(name, provider) {
+    providers[name] = provider;
+  }
+
+  /* ===== SHARED HELPERS ===== */
+
+  /** Fetch JSON with a timeout; non-2xx responses throw `HTTP <status>` */
+  async function fetchJSON(url, opts, timeoutMs) {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), timeoutMs || 15000);
+    try {
+      const resp = await fetch(url, { ...(opts || {}), signal: ctrl.signal });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      return await resp.json();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /** Decode a Google-style encoded polyline → [[lng, lat], …] */
+  function decodePolyline(str, precision) {
+    const factor = Math.pow(10, precision || 5);
+    const out = [];
+    let index = 0, lat = 0, lng = 0;
+    while (index < str.length) {
+      for (const axis of [0, 1]) {
+        let result = 0, shift = 0, b;
+        do {
+          b = str.charCodeAt(index++) - 63;
+          result |= (b & 0x1f) << shift;
+          shift += 5;
+        } while (b >= 0x20);
+        const delta = (result & 1) ? ~(result >> 1) : (result >> 1);
+        if (axis === 0) lat += delta; else lng += delta;
+      }
+      out.push([lng / factor, lat / factor]);
+    }
+    return out;
+  }
+
+  /* ===== OSRM ===== */
+  /** When via-points are present we add `radiuses=` so OSRM snaps each
+   *  detour waypoint to the nearest actual road (up to 1 000 m).
+   *  Without this, off-road waypoints cause straight-line segments. */
+  function osrmUrl(cfg, origin, destination, via, alternatives) {
+    let coords = `${origin.lng},${origin.lat}`;
+    via.forEach(wp => { coords += `;${wp.lng},${wp.lat}`; });
+    coords += `;${destination.lng},${destination.lat}`;
+
+    let url = `${cfg.baseUrl}/route/v1/${cfg.profile}/${coords}`
+            + `?overview=full&geometries=geojson&alternatives=${alternatives ? 'true' : 'false'}&steps=true`;
+
+    if (via.length > 0) {
+      /* radiuses: origin=unlimited, each via=1000m snap, destination=unlimited */
+      const radii = ['unlimited', ...via.map(() => '1000'), 'unlimited'].join(';');
+      url += `&radiuses=${radii}`;
+    }
+    return url;
+  }
+
+  register('osrm', {
+    async route({ origin, destination, via, alternatives, timeoutMs }, cfg) {
+      const url = osrmUrl(cfg, origin, destination, via, alternatives);
+      console.log('[Routing] OSRM:', url);
+      const data = await fetchJSON(url, null, timeoutMs);
+      if (data.code && data.code !== 'Ok' && data.code !== 'NoRoute') {
+        throw new Error(`OSRM ${data.code}`);
+      }
+      return { routes: data.routes || [] };
+    }
+  });
+
+  /* ===== VALHALLA ===== */
+  /* Valhalla maneuver type → OSRM { type, modifier } */
+  const VALHALLA_MANEUVERS = {
+    1:  { type: 'depart' },                          2:  { type: 'depart', modifier: 'right' },
+    3:  { type: 'depart', modifier: 'left' },        4:  { type: 'arrive' },
+    5:  { type: 'arrive', modifier: 'right' },       6:  { type: 'arrive', modifier: 'left' },
+    7:  { type: 'new name', modifier: 'straight' },  8:  { type: 'continue', modifier: 'straight' },
+    9:  { type: 'turn', modifier: 'slight right' },  10: { type: 'turn', modifier: 'right' },
+    11: { type: 'turn', modifier: 'sharp right' },   12: { type: 'turn', modifier: 'uturn' },
+    13: { type: 'turn', modifier: 'uturn' },         14: { type: 'turn', modifier: 'sharp left' },
+    15: { type: 'turn', modifier: 'left' },          16: { type: 'turn', modifier: 'slight left' },
+    17: { type: 'continue', modifier: 'straight' },  18: { type: 'turn', modifier: 'slight right' },
+    19: { type: 'turn', modifier: 'slight left' },   20: { type: 'turn', modifier: 'slight right' },
+    21: { type: 'turn', modifier: 'slight left' },   22: { type: 'continue', modifier: 'straight' },
+    23: { type: 'continue', modifier: 'slight right' }, 24: { type: 'continue', modifier: 'slight left' },
+    25: { type: 'merge', modifier: 'straight' },     26: { type: 'roundabout' },
+    27: { type: 'exit roundabout' }
+  };
+
+  function valhallaTrip(trip) {
+    let geometry = [];
+    const legs = (trip.legs || []).map(leg => {
+      const shape = decodePolyline(leg.shape || '', 6);
+      const steps = (leg.maneuvers || []).map(m => {
+        const map = VALHALLA_MANEUVERS[m.type] || { type: 'continue', modifier: 'straight' };
+        return {
+          name: (m.street_names || m.begin_street_names || [])[0] || '',
+          distance: (m.length || 0) * 1000,
+          duration: m.time || 0,
+          instruction: m.instruction || '',
+          maneuver: { ...map, location: shape[m.begin_shape_index] || shape[0] }
+        };
+      });
+      geometry = geometry.concat(geometry.length ? shape.slice(1) : shape);
+      return {
+        distance: (leg.summary?.length || 0) * 1000,
+        duration: leg.summary?.time || 0,
+        steps
+      };
+    });
+    return {
+      distance: (trip.summary?.length || 0) * 1000,
+      duration: trip.summary?.time || 0,
+      geometry: { type: 'LineString', coordinates: geometry },
+      legs
+    };
+  }
+
+  register('valhalla', {
+    async route({ origin, destination, via, alternatives, timeoutMs }, cfg) {
+      const locations = [
+        { lat: origin.lat, lon: origin.lng, type: 'break' },
+        /* 'through' keeps detour points from splitting the trip into legs */
+        ...via.map(wp => ({ lat: wp.lat, lon: wp.lng, type: 'through', radius: 1000 })),
+        { lat: destination.lat, lon: destination.lng, type: 'break' }
+      ];
+      const body = {
+        locations,
+        costing: cfg.profile,
+        directions_options: { units: 'kilometers' }
+      };
+      if (alternatives && via.length === 0) body.alternates = 2;
+
+      const url = `${cfg.baseUrl}/route`;
+      console.log('[Routing] Valhalla:', url);
+      const data = await fetchJSON(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      }, timeoutMs);
+
+      const trips = [data.trip, ...(data.alternates || []).map(a => a.trip)].filter(Boolean);
+      return { routes: trips.map(valhallaTrip) };
+    }
+  });
+
+  /* ===== GRAPHHOPPER ===== */
+  /* GraphHopper instruction sign → OSRM { type, modifier } */
+  const GH_SIGNS = {
+    '-98': { type: 'turn', modifier: 'uturn' },       '-8': { type: 'turn', modifier: 'uturn' },
+    '-7':  { type: 'continue', modifier: 'slight left' }, '-3': { type: 'turn', modifier: 'sharp left' },
+    '-2':  { type: 'turn', modifier: 'left' },        '-1': { type: 'turn', modifier: 'slight left' },
+    '0':   { type: 'continue', modifier: 'straight' }, '1': { type: 'turn', modifier: 'slight right' },
+    '2':   { type: 'turn', modifier: 'right' },       '3':  { type: 'turn', modifier: 'sharp right' },
+    '4':   { type: 'arrive' },                        '5':  { type: 'continue', modifier: 'straight' },
+    '6':   { type: 'roundabout' },                    '7':  { type: 'continue', modifier: 'slight right' },
+    '8':   { type: 'turn', modifier: 'uturn' }
+  };
+
+  function ghPath(path) {
+    const coords = path.points?.coordinates || [];
+    const steps = (path.instructions || []).map((ins, i) => {
+      const map = i === 0 ? { type: 'depart' } : (GH_SIGNS[String(ins.sign)] || { type: 'continue', modifier: 'straight' });
+      return {
+        name: ins.street_name || '',
+        distance: ins.distance || 0,
+        duration: (ins.time || 0) / 1000,
+        instruction: ins.text || '',
+        maneuver: { ...map, location: coords[ins.interval?.[0]] || coords[0] }
+      };
+    });
+    const duration = (path.time || 0) / 1000;
+    return {
+      distance: path.distance || 0,
+      duration,
+      geometry: { type: 'LineString', coordinates: coords },
+      /* GraphHopper does not split by via-point; expose a single leg */
+      legs: [{ distance: path.distance || 0, duration, steps }]
+    };
+  }
+
+  register('graphhopper', {
+    async route({ origin, destination, via, alternatives, timeoutMs }, cfg) {
+      const points = [origin, ...via, destination]
+        .map(p => `point=${p.lat},${p.lng}`).join('&');
+      let url = `${cfg.baseUrl}/route?${points}&profile=${encodeURIComponent(cfg.profile)}`
+              + `&points_encoded=false&instructions=true&locale=en`;
+      /* Alternatives are only supported point-to-point */
+      if (alternatives && via.length === 0) url += '&algorithm=alternative_route&ch.disable=true';
+      console.log('[Routing] GraphHopper:', url);
+      if (cfg.apiKey) url += `&key=${encodeURIComponent(cfg.apiKey)}`;
+
+      const data = await fetchJSON(url, null, timeoutMs);
+      return { routes: (data.paths || []).map(ghPath) };
+    }
+  });
+
+  /* ===== PUBLIC ENTRY POINT ===== */
+
+  /* Failures that mean "no connection", not "no route": timeouts, fetch
+   * TypeErrors and 5xx answers (including a captive portal's) */
+  function isNetworkFailure(err) {
+    if (err.name === 'AbortError' || err.name === 'TypeError') return true;
+    return /^HTTP 5\d\d/.test(err.message || '');
+  }
+
+  /**
+   * Route from origin to destination through optional via-points using the
+   * configured provider.  Returns { routes } in OSRM shape, plus
+   * `offline: true` when the offline graph had to stand in.
+   */
+  async function route(origin, destination, via, opts) {
+    const cfg = getConfig();
+    const provider = providers[cfg.provider];
+    const req = {
+      origin,
+      destination,
+      via: via || [],
+      alternatives: opts?.alternatives !== false,
+      timeoutMs: opts?.timeoutMs,
+      prefs: opts?.prefs
+    };
+    try {
+      return await provider.route(req, cfg);
+    } catch (err) {
+      const fallback = providers.offline;
+      if (!fallback || provider === fallback || !isNetworkFailure(err) ||
+          !fallback.covers(origin, destination)) throw err;
+      console.warn(`[Routing] ${cfg.provider} unreachable (${err.message}), using the offline graph`);
+      return { ...(await fallback.route(req, cfg)), offline: true };
+    }
+  }
+
+  return { route, register, getConfig, setConfig, decodePolyline };
+})();
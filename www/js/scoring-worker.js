@@ -0,0 +1,18 @@
+/* ===== scoring-worker.js — Route Scoring off the Main Thread ===== */
+
+/*
+ * Runs RouteScoring.zoneDanger for MapModule.analyzeRouteSafetyAsync so
+ * scoring candidate routes against a large danger registry doesn't block
+ * the UI.  Messages: { id, samples, zones } → { id, dangers } | { id, error }.
+ */
+
+importScripts('zone-index.js', 'route-scoring.js');
+
+self.onmessage = (e) => {
+  const { id, samples, zones } = e.data;
+  try {
+    self.postMessage({ id, dangers: RouteScoring.zoneDanger(samples, zones) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,202 @@
+/* ===== tile-packs.js — Offline Map Tile Packs ===== */
+
+/*
+ * Lets the user save the base-map tiles for an area and zoom range so the
+ * map still draws without signal.  Tiles live in Cache Storage under their
+ * canonical URL (first subdomain, this device's retina suffix); the pack
+ * list — name, area, zoom range, tile count, size — lives in localStorage.
+ * Packs may overlap: deleting one only removes tiles no other pack uses.
+ *
+ * tileLayer() is a drop-in for L.tileLayer that looks in the pack cache
+ * before going to the network.  While no pack exists it skips the lookup.
+ */
+
+const TilePacks = (() => {
+  const CACHE_NAME = 'leadinglight-tile-packs';
+  const PACKS_KEY = 'leadinglight_tile_packs';
+  const MAX_PACK_TILES = 6000;
+  const MAX_PACK_ZOOM = 17;
+  const DOWNLOAD_CONCURRENCY = 4;
+  const AVG_TILE_BYTES = 15000;    /* dark_all tiles are small; good enough for an estimate */
+
+  let _template = null;            /* URL template of the layer packs are made for */
+  let _cachePromise = null;
+
+  function openCache() {
+    if (typeof caches === 'undefined') return Promise.resolve(null);
+    if (!_cachePromise) _cachePromise = caches.open(CACHE_NAME).catch(() => null);
+    return _cachePromise;
+  }
+
+  /* ===== PACK LIST ===== */
+  function list() {
+    try { return JSON.parse(localStorage.getItem(PACKS_KEY)) || []; } catch { return []; }
+  }
+
+  function savePacks(packs) {
+    localStorage.setItem(PACKS_KEY, JSON.stringify(packs));
+  }
+
+  /* ===== TILE MATHS ===== */
+  function lngToX(lng, z) {
+    return Math.floor((lng + 180) / 360 * Math.pow(2, z));
+  }
+
+  function latToY(lat, z) {
+    const r = lat * Math.PI / 180;
+    return Math.floor((1 - Math.log(Math.tan(r) + 1 / Math.cos(r)) / Math.PI) / 2 * Math.pow(2, z));
+  }
+
+  /** Tiles covering { south, west, north, east } for every zoom in [minZoom, maxZoom] */
+  function tilesFor(bounds, minZoom, maxZoom) {
+    const tiles = [];
+    for (let z = minZoom; z <= maxZoom; z++) {
+      const max = Math.pow(2, z) - 1;
+      const x0 = Math.max(0, lngToX(bounds.west, z)), x1 = Math.min(max, lngToX(bounds.east, z));
+      const y0 = Math.max(0, latToY(bounds.north, z)), y1 = Math.min(max, latToY(bounds.south, z));
+      for (let x = x0; x <= x1; x++) {
+        for (let y = y0; y <= y1; y++) tiles.push({ z, x, y });
+      }
+    }
+    return tiles;
+  }
+
+  /** { tiles, bytes, tooLarge } for a pack, before downloading it */
+  function estimate(bounds, minZoom, maxZoom) {
+    const tiles = tilesFor(bounds, minZoom, Math.min(maxZoom, MAX_PACK_ZOOM)).length;
+    return { tiles, bytes: tiles * AVG_TILE_BYTES, tooLarge: tiles > MAX_PACK_TILES };
+  }
+
+  function tileUrl({ z, x, y }) {
+    return L.Util.template(_template, { s: 'a', r: L.Browser.retina ? '@2x' : '', z, x, y });
+  }
+
+  /* ===== DOWNLOAD ===== */
+
+  /**
+   * Download and save a pack.  Tiles another pack already holds are reused.
+   * If the download is aborted or fails, the tiles it added are removed again.
+   * @param {Object} opts
+   * @param {string}   opts.name
+   * @param {{south, west, north, east}} opts.bounds
+   * @param {number}   opts.minZoom
+   * @param {number}   opts.maxZoom
+   * @param {Function} [opts.onProgress] – (done, total) => void
+   * @param {AbortSignal} [opts.signal]
+   * @returns {Promise<Object>} the saved pack
+   */
+  async function download(opts) {
+    if (!_template) throw new Error('No tile layer to download for');
+    const cache = await openCache();
+    if (!cache) throw new Error('Offline storage is not available');
+
+    const maxZoom = Math.min(opts.maxZoom, MAX_PACK_ZOOM);
+    const tiles = tilesFor(opts.bounds, opts.minZoom, maxZoom);
+    if (tiles.length > MAX_PACK_TILES) {
+      throw new Error(`Area too large (${tiles.length} tiles, max ${MAX_PACK_TILES})`);
+    }
+
+    const urls = tiles.map(tileUrl);
+    const added = [];
+    let bytes = 0, done = 0, next = 0;
+    let failure = null;
+
+    async function worker() {
+      while (next < urls.length && !failure && !opts.signal?.aborted) {
+        const url = urls[next++];
+        try {
+          let resp = await cache.match(url);
+          if (!resp) {
+            resp = await fetch(url, { signal: opts.signal });
+            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+            await cache.put(url, resp.clone());
+            added.push(url);
+          }
+          const size = (await resp.blob()).size;
+          bytes += size;
+          done++;
+          opts.onProgress?.(done, urls.length);
+        } catch (err) {
+          failure = failure || err;
+        }
+      }
+    }
+
+    await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+    if (!failure && opts.signal?.aborted) failure = new DOMException('Aborted', 'AbortError');
+    if (failure) {
+      await removeTiles(added, list());
+      throw failure;
+    }
+
+    const pack = {
+      id: Date.now().toString(36),
+      name: opts.name || 'Offline area',
+      bounds: { ...opts.bounds },
+      minZoom: opts.minZoom,
+      maxZoom,
+      tiles: urls.length,
+      bytes,
+      created: Date.now()
+    };
+    savePacks([...list(), pack]);
+    console.log(`[TilePacks] Saved "${pack.name}": ${pack.tiles} tiles, ${Math.round(bytes / 1024)} KB`);
+    return pack;
+  }
+
+  /* Delete `urls` from the cache unless one of `keep` packs covers them */
+  async function removeTiles(urls, keep) {
+    const cache = await openCache();
+    if (!cache || urls.length === 0) return;
+    const kept = new Set();
+    keep.forEach(p => tilesFor(p.bounds, p.minZoom, p.maxZoom).forEach(t => kept.add(tileUrl(t))));
+    await Promise.all(urls.filter(u => !kept.has(u)).map(u => cache.delete(u)));
+  }
+
+  async function remove(id) {
+    const packs = list();
+    const pack = packs.find(p => p.id === id);
+    if (!pack) return;
+    const rest = packs.filter(p => p.id !== id);
+    savePacks(rest);
+    if (_template) await removeTiles(tilesFor(pack.bounds, pack.minZoom, pack.maxZoom).map(tileUrl), rest);
+    console.log(`[TilePacks] Deleted "${pack.name}"`);
+  }
+
+  /* ===== CACHE-FIRST TILE LAYER ===== */
+
+  /* Object URL for a saved tile, or null */
+  async function cachedTile(coords) {
+    if (list().length === 0) return null;
+    const cache = await openCache();
+    const resp = cache && await cache.match(tileUrl(coords));
+    return resp ? URL.createObjectURL(await resp.blob()) : null;
+  }
+
+  /** L.tileLayer(template, options) that serves saved tiles before the network */
+  function tileLayer(template, options) {
+    _template = template;
+    const Layer = L.TileLayer.extend({
+      createTile(coords, done) {
+        const tile = document.createElement('img');
+        tile.alt = '';
+        tile.setAttribute('role', 'presentation');
+        L.DomEvent.on(tile, 'load', L.Util.bind(this._tileOnLoad, this, done, tile));
+        L.DomEvent.on(tile, 'error', L.Util.bind(this._tileOnError, this, done, tile));
+
+        const live = this.getTileUrl(coords);
+        cachedTile(coords)
+          .catch(() => null)
+          .then(objectUrl => {
+            if (!objectUrl) { tile.src = live; return; }
+            tile.addEventListener('load', () => URL.revokeObjectURL(objectUrl), { once: true });
+            tile.src = objectUrl;
+          });
+        return tile;
+      }
+    });
+    return new Layer(template, options);
+  }
+
+  return { list, estimate, download, remove, tileLayer, MAX_PACK_TILES, MAX_PACK_ZOOM };
+})();
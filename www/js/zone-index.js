@@ -0,0 +1,82 @@
+/* ===== zone-index.js — Grid Spatial Index for Danger Zones ===== */
+
+/*
+ * Buckets zones ({ lat, lng, … }) into CELL_DEG × CELL_DEG cells so bounds
+ * and radius lookups only touch nearby cells instead of every zone.  Used
+ * for the persistent danger registry, by the route intersection finder and
+ * by the route scorer (also inside the scoring worker), so it must not
+ * depend on Leaflet or the DOM.
+ */
+
+const ZoneIndex = (() => {
+  const CELL_DEG = 0.005;   /* ≈ 550 m of latitude */
+  const M_PER_DEG = 111320;
+
+  function create(cellDeg = CELL_DEG) {
+    const cells = new Map();   /* "row_col" → Set of zones */
+    let size = 0;
+
+    const cellOf = v => Math.floor(v / cellDeg);
+
+    function add(zone) {
+      const k = `${cellOf(zone.lat)}_${cellOf(zone.lng)}`;
+      let cell = cells.get(k);
+      if (!cell) { cell = new Set(); cells.set(k, cell); }
+      if (!cell.has(zone)) { cell.add(zone); size++; }
+    }
+
+    function remove(zone) {
+      const k = `${cellOf(zone.lat)}_${cellOf(zone.lng)}`;
+      const cell = cells.get(k);
+      if (cell && cell.delete(zone)) {
+        size--;
+        if (cell.size === 0) cells.delete(k);
+      }
+    }
+
+    /*
+     * Zones inside the box.  A box spanning more cells than are occupied
+     * (a zoomed-out view) scans the occupied cells instead, so the cost is
+     * bounded by the zones stored rather than by the box's area.
+     */
+    function inBounds(south, west, north, east) {
+      const found = [];
+      const inside = z => z.lat >= south && z.lat <= north && z.lng >= west && z.lng <= east;
+      const span = (cellOf(north) - cellOf(south) + 1) * (cellOf(east) - cellOf(west) + 1);
+      if (span > cells.size) {
+        for (const cell of cells.values()) {
+          for (const z of cell) if (inside(z)) found.push(z);
+        }
+        return found;
+      }
+      for (let r = cellOf(south); r <= cellOf(north); r++) {
+        for (let c = cellOf(west); c <= cellOf(east); c++) {
+          const cell = cells.get(`${r}_${c}`);
+          if (!cell) continue;
+          for (const z of cell) if (inside(z)) found.push(z);
+        }
+      }
+      return found;
+    }
+
+    /* Candidate zones within roughly `radiusM` of a point (callers check exact distance) */
+    function near(lat, lng, radiusM) {
+      const dLat = radiusM / M_PER_DEG;
+      const dLng = radiusM / (M_PER_DEG * Math.max(0.01, Math.cos(lat * Math.PI / 180)));
+      return inBounds(lat - dLat, lng - dLng, lat + dLat, lng + dLng);
+    }
+
+    return {
+      add, remove, inBounds, near,
+      get size() { return size; }
+    };
+  }
+
+  function fromZones(zones, cellDeg) {
+    const index = create(cellDeg);
+    zones.forEach(index.add);
+    return index;
+  }
+
+  return { create, fromZones };
+})();
@@ -1,11 +1,29 @@
 /* Service Worker — caches app shell for offline use */
-const CACHE_NAME = 'leading-light-v15';
+const CACHE_NAME = 'leading-light-v27';
+/* Offline map packs (tile-packs.js) — user data, survives shell updates */
+const TILE_PACK_CACHE = 'leadinglight-tile-packs';
 const SHELL = [
   '/',
   '/index.html',
   '/css/styles.css',
   '/js/app.js',
+  '/js/opening-hours.js',
+  '/js/crime-taxonomy.js',
+  '/js/crime-providers.js',
+  '/js/danger-store.js',
+  '/js/tile-cache.js',
+  '/js/overpass.js',
+  '/js/zone-index.js',
+  '/js/route-scoring.js',
+  '/js/scoring-worker.js',
+  '/js/heat-layer.js',
+  '/js/marker-cluster.js',
+  '/js/tile-packs.js',
   '/js/map.js',
+  '/js/routing-providers.js',
+  '/js/route-preferences.js',
+  '/js/graph-router.js',
+  '/js/offline-router.js',
   '/js/routes.js',
   '/js/emergency.js',
   '/js/reports.js',
@@ -22,7 +40,7 @@ self.addEventListener('install', (e) => {
 self.addEventListener('activate', (e) => {
   e.waitUntil(
     caches.keys().then(keys =>
-      Promise.all(keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k)))
+      Promise.all(keys.filter(k => k !== CACHE_NAME && k !== TILE_PACK_CACHE).map(k => caches.delete(k)))
     )
   );
   self.clients.claim();
@@ -34,7 +52,10 @@ self.addEventListener('fetch', (e) => {
   if (url.includes('nominatim') || url.includes('overpass') ||
       url.includes('ip-api') || url.includes('police.uk') ||
       url.includes('usa.gov') || url.includes('detroitmi.gov') ||
+      url.includes('cityofchicago.org') || url.includes('data.seattle.gov') ||
+      url.includes('data.sfgov.org') ||
       url.includes('osrm') || url.includes('router.project-osrm') ||
+      url.includes('valhalla') || url.includes('graphhopper') ||
       url.includes('/api/')) {
     e.respondWith(
       fetch(e.request).catch(() => caches.match(e.request))